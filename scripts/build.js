@@ -10,42 +10,104 @@
  *   dist/catalog/series/anilist-trending/skip=100.json (page 2)
  *   dist/catalog/series/anilist-discover/genre=Action.json
  *   dist/meta/series/tmdb:12345.json
+ *   dist/meta/movie/tmdb:movie:129.json
  */
 
 const fs = require('fs');
 const path = require('path');
 
 const { initOfflineDb }    = require('../src/mapping/offlineDb');
-const { initFribbDb, getTmdbId } = require('../src/mapping/fribbDb');
+const { initFribbDb, getTmdbMapping } = require('../src/mapping/fribbDb');
 const { resolveStremioId } = require('../src/mapping/idMapper');
 const { queryPage, queryAiringSchedule } = require('../src/anilist/client');
+const { fetchSurprisePicks, surpriseDay } = require('../src/anilist/surprise');
 const {
-  TRENDING_QUERY, SEASON_QUERY, POPULAR_QUERY, TOP_QUERY, ANIME_DISCOVER_QUERY,
-  RECENTLY_UPDATED_QUERY
+  TRENDING_QUERY, SEASON_QUERY, POPULAR_QUERY, TOP_QUERY, HIDDEN_GEMS_QUERY, ANIME_DISCOVER_QUERY,
+  RECENTLY_UPDATED_QUERY, AIRING_SCHEDULE_QUERY
 } = require('../src/anilist/queries');
-const { buildMetaPreview, buildFullMeta, getCurrentSeason } = require('../src/utils/anilistToMeta');
-const { fetchTmdbSeries, fetchTmdbAllEpisodes, fetchTmdbExternalIds, fetchTmdbAggregateCredits, buildMetaFromTmdb } = require('../src/tmdb/client');
+const { buildMetaPreview, buildAiringPreview, buildFullMeta, getTitle, getCurrentSeason, getNextSeason, getAiringWindow } = require('../src/utils/anilistToMeta');
+const {
+  fetchTmdbSeries, fetchTmdbAllEpisodes, fetchTmdbExternalIds, fetchTmdbAggregateCredits, sliceEpisodesForMapping, buildMetaFromTmdb,
+  fetchTmdbMovie, fetchTmdbMovieExternalIds, fetchTmdbMovieCredits, buildMetaFromTmdbMovie
+} = require('../src/tmdb/client');
 const manifest = require('../src/manifest');
-const logger = require('../src/utils/logger');
+const { normalizeConfig } = require('../src/addon/userConfig');
+const logger = require('../src/utils/logger').child('build');
 const sleep = require('../src/utils/sleep');
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
 
+// The static site has no per-install config — title language and description
+// locale come from the environment instead (e.g. TITLE_LANGUAGE=romaji META_LOCALE=fr-FR)
+const BUILD_CONFIG = normalizeConfig({
+  titleLanguage: process.env.TITLE_LANGUAGE,
+  locale: process.env.META_LOCALE
+});
+
+// Static meta files are served long after the build, so next-episode notices
+// carry the dated UTC air time rather than an "airs in 5h" countdown
+const STATIC_AIRING = { absoluteAiring: true };
+
 // ─── Config ──────────────────────────────────────────────────────────────────
 
 const DIST   = path.join(__dirname, '../dist');
 const PAGES  = 3;   // default pages per catalog (100 items/page → 300 items)
+// Remembers the UTC day of the last complete build, so files that only
+// change once a day are rebuilt by the first run of each day only. CI must
+// persist dist/ at least once a day for this to hold (see build.yml).
+const BUILD_STATE_PATH = path.join(DIST, 'build-state.json');
 
 // Anime discover filter values
 const ANIME_GENRES  = ['Action','Adventure','Comedy','Drama','Fantasy','Horror','Mahou Shoujo','Mecha','Music','Mystery','Psychological','Romance','Sci-Fi','Slice of Life','Sports','Supernatural','Thriller'];
 const ANIME_FORMATS = [{ display: 'TV', anilist: 'TV' }, { display: 'Movie', anilist: 'MOVIE' }, { display: 'OVA', anilist: 'OVA' }, { display: 'ONA', anilist: 'ONA' }, { display: 'Special', anilist: 'SPECIAL' }];
 const ANIME_STATUSES = [{ display: 'Airing', anilist: 'RELEASING' }, { display: 'Finished', anilist: 'FINISHED' }, { display: 'Upcoming', anilist: 'NOT_YET_RELEASED' }];
 const ANIME_SORTS   = [{ display: 'Popular', anilist: 'POPULARITY_DESC' }, { display: 'Top Rated', anilist: 'SCORE_DESC' }, { display: 'Trending', anilist: 'TRENDING_DESC' }, { display: 'Newest', anilist: 'START_DATE_DESC' }];
+// Range and origin filters — display value → AniList variables (_greater / _lesser are exclusive)
+const ANIME_RANGE_FILTERS = [
+  { key: 'score', display: '60+', vars: { averageScore_greater: 59 } },
+  { key: 'score', display: '70+', vars: { averageScore_greater: 69 } },
+  { key: 'score', display: '80+', vars: { averageScore_greater: 79 } },
+  { key: 'score', display: '90+', vars: { averageScore_greater: 89 } },
+  { key: 'popularity', display: '1k+',   vars: { popularity_greater: 999 } },
+  { key: 'popularity', display: '10k+',  vars: { popularity_greater: 9999 } },
+  { key: 'popularity', display: '50k+',  vars: { popularity_greater: 49999 } },
+  { key: 'popularity', display: '100k+', vars: { popularity_greater: 99999 } },
+  { key: 'episodes', display: 'Short (1-6)',    vars: { episodes_greater: 0, episodes_lesser: 7 } },
+  { key: 'episodes', display: '1 Cour (7-16)',  vars: { episodes_greater: 6, episodes_lesser: 17 } },
+  { key: 'episodes', display: '2 Cour (17-28)', vars: { episodes_greater: 16, episodes_lesser: 29 } },
+  { key: 'episodes', display: 'Long (29+)',     vars: { episodes_greater: 28 } },
+  { key: 'country', display: 'Japan',       vars: { countryOfOrigin: 'JP' } },
+  { key: 'country', display: 'South Korea', vars: { countryOfOrigin: 'KR' } },
+  { key: 'country', display: 'China',       vars: { countryOfOrigin: 'CN' } },
+];
+// Hidden Gems — the live catalog's default thresholds, then one picker value at a time
+const GEM_BASE_VARS = { averageScore_greater: 74, popularity_lesser: 25000, popularity_greater: 1000 };
+const GEM_FILTERS = [
+  { key: 'score', display: '70+', vars: { averageScore_greater: 69 } },
+  { key: 'score', display: '75+', vars: { averageScore_greater: 74 } },
+  { key: 'score', display: '80+', vars: { averageScore_greater: 79 } },
+  { key: 'score', display: '85+', vars: { averageScore_greater: 84 } },
+  { key: 'popularity', display: 'Under 5k',  vars: { popularity_lesser: 5000 } },
+  { key: 'popularity', display: 'Under 10k', vars: { popularity_lesser: 10000 } },
+  { key: 'popularity', display: 'Under 25k', vars: { popularity_lesser: 25000 } },
+  { key: 'popularity', display: 'Under 50k', vars: { popularity_lesser: 50000 } },
+];
 const currentYear   = new Date().getFullYear();
 const ANIME_YEARS   = Array.from({ length: currentYear - 1994 }, (_, i) => currentYear - i);
+const SEASONS       = [{ display: 'Winter', anilist: 'WINTER' }, { display: 'Spring', anilist: 'SPRING' }, { display: 'Summer', anilist: 'SUMMER' }, { display: 'Fall', anilist: 'FALL' }];
+const SEASON_YEARS  = [currentYear + 1, ...ANIME_YEARS];
+const AIRING_DAYS   = ['Today', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
+function readBuildState() {
+  try {
+    return JSON.parse(fs.readFileSync(BUILD_STATE_PATH, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
 function writeJson(filePath, data) {
   fs.mkdirSync(path.dirname(filePath), { recursive: true });
   fs.writeFileSync(filePath, JSON.stringify(data), 'utf8');
@@ -63,6 +125,24 @@ function metaFilePath(type, id) {
   return path.join(DIST, 'meta', type, `${id}.json`);
 }
 
+/**
+ * The static site can only serve pre-generated files, so catalogs that need
+ * free-form input (search, More Like This, Franchise, staff), a live AniList
+ * account (user lists), picker options loaded at runtime (tags, studios) or
+ * snapshots kept by a running server (Rising) are dropped from the published
+ * manifest, as is per-install configuration.
+ */
+function staticManifest() {
+  const { behaviorHints, config, ...rest } = manifest;
+  return {
+    ...rest,
+    catalogs: manifest.catalogs.filter(c =>
+      !(c.extra || []).some(e => e.isRequired && !e.options) &&
+      !c.id.startsWith('anilist-user-') && !['anilist-tags', 'anilist-studio', 'anilist-rising'].includes(c.id)
+    )
+  };
+}
+
 // ─── Core build functions ─────────────────────────────────────────────────────
 
 /**
@@ -77,7 +157,7 @@ async function buildCatalogPage(query, vars, type, catalogId, extraKey) {
   const metas = await Promise.all(
     mediaList.map(async media => {
       const stremioId = await resolveStremioId(media);
-      return { meta: buildMetaPreview(media, stremioId, overrideType), media, stremioId };
+      return { meta: buildMetaPreview(media, stremioId, overrideType, BUILD_CONFIG), media, stremioId };
     })
   );
 
@@ -91,26 +171,54 @@ async function buildCatalogPage(query, vars, type, catalogId, extraKey) {
 }
 
 /**
- * Fetch one page of the airing schedule catalog, deduplicate, write JSON.
+ * Fetch an airing schedule catalog's whole window, deduplicate, write JSON.
+ * With `upcoming`, previews lead with the next episode number and air time.
  */
-async function buildAiringCatalogPage(query, vars, type, catalogId, extraKey) {
+async function buildAiringCatalogPage(query, vars, type, catalogId, extraKey, upcoming = false) {
   const schedules = await queryAiringSchedule(query, vars);
 
-  // Deduplicate by media ID — first occurrence = most recently aired
+  // Deduplicate by media ID — first occurrence = most recently aired (or next to air)
   const seen = new Set();
-  const dedupedMedia = [];
+  const dedupedSchedules = [];
   for (const schedule of schedules) {
     if (!schedule.media || schedule.media.isAdult) continue;
     if (seen.has(schedule.media.id)) continue;
     seen.add(schedule.media.id);
-    dedupedMedia.push(schedule.media);
+    dedupedSchedules.push(schedule);
   }
 
   const overrideType = type === 'anime' ? 'anime' : undefined;
   const metas = await Promise.all(
-    dedupedMedia.map(async media => {
+    dedupedSchedules.map(async schedule => {
+      const { media } = schedule;
       const stremioId = await resolveStremioId(media);
-      return { meta: buildMetaPreview(media, stremioId, overrideType), media, stremioId };
+      const meta = upcoming
+        ? buildAiringPreview(schedule, stremioId, BUILD_CONFIG)
+        : buildMetaPreview(media, stremioId, overrideType, BUILD_CONFIG);
+      return { meta, media, stremioId };
+    })
+  );
+
+  writeJson(
+    catalogFilePath(type, catalogId, extraKey),
+    { metas: metas.map(m => m.meta) }
+  );
+
+  logger.info(`  wrote catalog/${type}/${catalogId}${extraKey ? '/' + extraKey : ''} (${metas.length} items)`);
+  return metas;
+}
+
+/**
+ * Write the day's Surprise Me picks. The seed is the UTC date, so every
+ * build on the same day writes the same list, matching the live server.
+ */
+async function buildSurpriseCatalogPage(query, vars, type, catalogId, extraKey) {
+  const mediaList = await fetchSurprisePicks({ genre: vars.genre }, surpriseDay());
+
+  const metas = await Promise.all(
+    mediaList.map(async media => {
+      const stremioId = await resolveStremioId(media);
+      return { meta: buildMetaPreview(media, stremioId, undefined, BUILD_CONFIG), media, stremioId };
     })
   );
 
@@ -130,7 +238,7 @@ async function buildCatalog(config, allMediaMap) {
   const {
     catalogId, type = 'series', query, baseVars = {},
     filterKey, filterValue, extraFilters = {}, pages = PAGES,
-    skipIfExists = false, airing = false
+    skipIfExists = false, airing = false, upcoming = false, surprise = false
   } = config;
 
   // Compute the page-1 file path to check existence
@@ -172,8 +280,8 @@ async function buildCatalog(config, allMediaMap) {
       extraKey = page === 1 ? undefined : `skip=${(page - 1) * 100}`;
     }
 
-    const buildFn = airing ? buildAiringCatalogPage : buildCatalogPage;
-    const metas = await buildFn(query, vars, type, catalogId, extraKey);
+    const buildFn = surprise ? buildSurpriseCatalogPage : airing ? buildAiringCatalogPage : buildCatalogPage;
+    const metas = await buildFn(query, vars, type, catalogId, extraKey, upcoming);
 
     // collect all IDs for meta pre-generation (tmdb:, kitsu:, and anilist:)
     for (const { media, stremioId } of metas) {
@@ -188,15 +296,25 @@ async function buildCatalog(config, allMediaMap) {
  * Write a meta file under every applicable type directory.
  * Anime shows appear in both 'series' and 'anime' catalogs, so Stremio may
  * request their meta under either type — we write both to avoid 404s.
- * Movies only need 'movie'.
+ * Movies are requested as 'movie', or as 'anime' from the discover catalog.
  */
 function writeMetaAllTypes(meta, stremioId) {
-  const types = meta.type === 'movie' ? ['movie'] : ['series', 'anime'];
+  const types = meta.type === 'movie' ? ['movie', 'anime'] : ['series', 'anime'];
   for (const t of types) {
     writeJson(metaFilePath(t, stremioId), { meta });
   }
 }
 
+/**
+ * TMDB names are English; other title languages take the AniList title.
+ */
+function withTitleLanguage(meta, media) {
+  if (BUILD_CONFIG.titleLanguage !== 'english' && media.title) {
+    meta.name = getTitle(media.title, BUILD_CONFIG.titleLanguage);
+  }
+  return meta;
+}
+
 /**
  * Pre-generate meta JSON for every catalog item.
  * Uses TMDB (episodes + thumbnails) when available, falls back to AniList.
@@ -215,20 +333,42 @@ async function buildAllMetas(allMediaMap) {
     }
 
     const anilistId = media.id;
-    const tmdbId    = TMDB_API_KEY ? getTmdbId(anilistId) : null;
+    const mapping   = TMDB_API_KEY ? getTmdbMapping(anilistId) : null;
+    const tmdbId    = mapping && mapping.tmdbId;
 
-    if (tmdbId) {
+    if (mapping && mapping.tmdbType === 'movie') {
+      try {
+        const [movie, externalIds, credits] = await Promise.all([
+          fetchTmdbMovie(tmdbId, BUILD_CONFIG.locale),
+          fetchTmdbMovieExternalIds(tmdbId),
+          fetchTmdbMovieCredits(tmdbId),
+        ]);
+        if (movie) {
+          const imdbId = (externalIds && externalIds.imdb_id) || movie.imdb_id || null;
+          const meta = buildMetaFromTmdbMovie(movie, stremioId, imdbId, credits);
+          writeMetaAllTypes(withTitleLanguage(meta, media), stremioId);
+          tmdbCount++;
+          await sleep(150); // respect TMDB rate limit
+          continue;
+        }
+      } catch (err) {
+        logger.warn(`  TMDB movie fetch failed for ${stremioId} (tmdbId: ${tmdbId}): ${err.message}`);
+      }
+    } else if (tmdbId) {
       try {
         // Fetch series details, external IDs, and aggregate cast in parallel
         const [series, externalIds, aggregateCredits] = await Promise.all([
-          fetchTmdbSeries(tmdbId),
+          fetchTmdbSeries(tmdbId, BUILD_CONFIG.locale),
           fetchTmdbExternalIds(tmdbId),
           fetchTmdbAggregateCredits(tmdbId),
         ]);
         if (series) {
           const imdbId  = (externalIds && externalIds.imdb_id) || null;
-          const episodes = await fetchTmdbAllEpisodes(tmdbId, series.number_of_seasons || 1);
-          const meta = buildMetaFromTmdb(series, episodes, stremioId, imdbId, aggregateCredits);
+          const allEpisodes = await fetchTmdbAllEpisodes(tmdbId, series.number_of_seasons || 1, BUILD_CONFIG.locale);
+          // tmdb: IDs stand for the whole show; entry-specific IDs get their own season / cour
+          const episodes = stremioId.startsWith('tmdb:') ? allEpisodes : sliceEpisodesForMapping(allEpisodes, mapping);
+          const meta = buildMetaFromTmdb(series, episodes, stremioId, imdbId, aggregateCredits, undefined, media.nextAiringEpisode, mapping, STATIC_AIRING);
+          withTitleLanguage(meta, media);
           writeMetaAllTypes(meta, stremioId);
           tmdbCount++;
           await sleep(150); // respect TMDB rate limit
@@ -240,7 +380,7 @@ async function buildAllMetas(allMediaMap) {
     }
 
     // Fallback: AniList data (no episode list)
-    const meta = buildFullMeta(media, stremioId);
+    const meta = buildFullMeta(media, stremioId, undefined, BUILD_CONFIG, STATIC_AIRING);
     writeMetaAllTypes(meta, stremioId);
     fallbackCount++;
   }
@@ -255,8 +395,18 @@ async function buildAllMetas(allMediaMap) {
  * We create copies under the reversed key order so both URLs resolve.
  */
 function createReverseOrderAliases() {
-  const dir = path.join(DIST, 'catalog', 'anime', 'anilist-anime');
-  if (!fs.existsSync(dir)) return;
+  let count = 0;
+  for (const dir of [
+    path.join(DIST, 'catalog', 'anime', 'anilist-anime'),
+    path.join(DIST, 'catalog', 'series', 'anilist-seasonal'),
+  ]) {
+    count += createReverseOrderAliasesIn(dir);
+  }
+  logger.info(`  created ${count} reverse-order alias files`);
+}
+
+function createReverseOrderAliasesIn(dir) {
+  if (!fs.existsSync(dir)) return 0;
 
   let count = 0;
   for (const file of fs.readdirSync(dir)) {
@@ -264,18 +414,20 @@ function createReverseOrderAliases() {
     const name = file.replace('.json', '');
     const parts = name.split('&');
     if (parts.length !== 2) continue;
+    if (parts[0].localeCompare(parts[1]) > 0) continue; // this file is itself an alias
 
     const reversed = `${parts[1]}&${parts[0]}.json`;
     const srcPath = path.join(dir, file);
     const dstPath = path.join(dir, reversed);
 
-    if (!fs.existsSync(dstPath)) {
+    // Refresh aliases of files rebuilt this run (e.g. current-year seasons)
+    if (!fs.existsSync(dstPath) || fs.statSync(srcPath).mtimeMs > fs.statSync(dstPath).mtimeMs) {
       fs.copyFileSync(srcPath, dstPath);
       count++;
     }
   }
 
-  logger.info(`  created ${count} reverse-order alias files`);
+  return count;
 }
 
 // ─── Main ─────────────────────────────────────────────────────────────────────
@@ -302,11 +454,18 @@ async function main() {
     path.join(DIST, 'catalog', 'series', 'anilist-trending'),
     path.join(DIST, 'catalog', 'series', 'anilist-season.json'),
     path.join(DIST, 'catalog', 'series', 'anilist-season'),
+    path.join(DIST, 'catalog', 'series', 'anilist-next-season.json'),
+    path.join(DIST, 'catalog', 'series', 'anilist-next-season'),
+    path.join(DIST, 'catalog', 'series', 'anilist-seasonal.json'),
     path.join(DIST, 'catalog', 'series', 'anilist-popular.json'),
     path.join(DIST, 'catalog', 'series', 'anilist-popular'),
     path.join(DIST, 'catalog', 'series', 'anilist-top.json'),
+    path.join(DIST, 'catalog', 'series', 'anilist-hidden-gems.json'),
+    path.join(DIST, 'catalog', 'series', 'anilist-hidden-gems'),
     path.join(DIST, 'catalog', 'series', 'anilist-recently-updated.json'),
     path.join(DIST, 'catalog', 'series', 'anilist-recently-updated'),
+    path.join(DIST, 'catalog', 'series', 'anilist-airing-schedule.json'),
+    path.join(DIST, 'catalog', 'series', 'anilist-airing-schedule'),
     path.join(DIST, 'catalog', 'anime', 'anilist-anime.json'),
   ];
   for (const p of DYNAMIC_PATHS) {
@@ -314,20 +473,77 @@ async function main() {
   }
 
   // 3. Write manifest
-  writeJson(path.join(DIST, 'manifest.json'), manifest);
+  writeJson(path.join(DIST, 'manifest.json'), staticManifest());
   logger.info('  wrote manifest.json');
 
+  // Daily files (Surprise Me, seasonal browser pages other than the current
+  // season) are rebuilt on the first run of a UTC day and kept by the later ones
+  const today = surpriseDay();
+  const keepDaily = readBuildState().day === today;
+
   const { season, year } = getCurrentSeason();
+  const nextSeason = getNextSeason();
+  // Past seasons barely change and are only built once; the current season is
+  // rebuilt every run and the rest of the current and upcoming years daily
+  const isSettledYear = y => y < year;
+  const seasonalSkip = (s, y) => {
+    if (s === season && y === year) return false;
+    return isSettledYear(y) || keepDaily;
+  };
 
   // 4. Define all catalogs to build
   const catalogConfigs = [
     // ── Home tab catalogs (type: series) ──────────────────────────────────────
     { catalogId: 'anilist-trending', query: TRENDING_QUERY },
     { catalogId: 'anilist-season',   query: SEASON_QUERY, baseVars: { season, seasonYear: year } },
+    { catalogId: 'anilist-next-season', query: SEASON_QUERY, baseVars: { season: nextSeason.season, seasonYear: nextSeason.year } },
     { catalogId: 'anilist-popular',  query: POPULAR_QUERY },
     { catalogId: 'anilist-top',      query: TOP_QUERY, pages: 1 },
+    { catalogId: 'anilist-hidden-gems', query: HIDDEN_GEMS_QUERY, baseVars: GEM_BASE_VARS, pages: 1 },
+    ...GEM_FILTERS.map(({ key, display, vars }) => ({
+      catalogId: 'anilist-hidden-gems', query: HIDDEN_GEMS_QUERY,
+      baseVars: { ...GEM_BASE_VARS, ...vars }, filterKey: key, filterValue: display, pages: 1
+    })),
+    // Surprise Me — today's shuffle, overall and per genre
+    { catalogId: 'anilist-surprise', query: ANIME_DISCOVER_QUERY, pages: 1, surprise: true, skipIfExists: keepDaily },
+    ...ANIME_GENRES.map(g => ({
+      catalogId: 'anilist-surprise', query: ANIME_DISCOVER_QUERY, pages: 1, surprise: true,
+      baseVars: { genre: g }, filterKey: 'genre', filterValue: g, skipIfExists: keepDaily
+    })),
     { catalogId: 'anilist-recently-updated', query: RECENTLY_UPDATED_QUERY, pages: 1, airing: true,
       baseVars: { airingAt_greater: Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60, airingAt_lesser: Math.floor(Date.now() / 1000) } },
+    // Airing schedule — coming week plus one file per day picker value
+    { catalogId: 'anilist-airing-schedule', query: AIRING_SCHEDULE_QUERY, pages: 1, airing: true, upcoming: true,
+      baseVars: getAiringWindow() },
+    ...AIRING_DAYS.map(day => ({
+      catalogId: 'anilist-airing-schedule', query: AIRING_SCHEDULE_QUERY, pages: 1, airing: true, upcoming: true,
+      baseVars: getAiringWindow(day), filterKey: 'genre', filterValue: day
+    })),
+
+    // ── Seasonal browser — season and year each default to the current season ──
+    { catalogId: 'anilist-seasonal', query: SEASON_QUERY, baseVars: { season, seasonYear: year }, pages: 1 },
+    ...SEASONS.map(({ display, anilist }) => ({
+      catalogId: 'anilist-seasonal', query: SEASON_QUERY,
+      baseVars: { season: anilist, seasonYear: year }, filterKey: 'season', filterValue: display, pages: 1,
+      skipIfExists: seasonalSkip(anilist, year)
+    })),
+    ...SEASON_YEARS.map(y => ({
+      catalogId: 'anilist-seasonal', query: SEASON_QUERY,
+      // Year alone means the current season of that year, so these follow the
+      // calendar — past years too, hence daily rather than built once
+      baseVars: { season, seasonYear: y }, filterKey: 'year', filterValue: String(y), pages: 1,
+      skipIfExists: y === year ? false : keepDaily
+    })),
+    // Season + Year (4 × N combos) — e.g. season=Fall&year=2014.json
+    ...SEASONS.flatMap(({ display, anilist }) =>
+      SEASON_YEARS.map(y => ({
+        catalogId: 'anilist-seasonal', query: SEASON_QUERY,
+        baseVars: { season: anilist, seasonYear: y },
+        filterKey: 'season', filterValue: display,
+        extraFilters: { year: String(y) },
+        pages: 1, skipIfExists: seasonalSkip(anilist, y)
+      }))
+    ),
 
     // ── Anime discover catalog (type: anime) — one page per filter ─────────────
     // Default (no filter)
@@ -404,6 +620,22 @@ async function main() {
         pages: 1, skipIfExists: true
       }))
     ),
+    // Score / popularity / episodes / country (15 combos) — e.g. score=80+.json
+    ...ANIME_RANGE_FILTERS.map(({ key, display, vars }) => ({
+      catalogId: 'anilist-anime', type: 'anime', query: ANIME_DISCOVER_QUERY,
+      baseVars: vars, filterKey: key, filterValue: display, pages: 1,
+      skipIfExists: true
+    })),
+    // Genre + score / popularity / episodes / country (17 × 15 = 255 combos) — e.g. genre=Action&score=80+.json
+    ...ANIME_GENRES.flatMap(g =>
+      ANIME_RANGE_FILTERS.map(({ key, display, vars }) => ({
+        catalogId: 'anilist-anime', type: 'anime', query: ANIME_DISCOVER_QUERY,
+        baseVars: { genre: g, ...vars },
+        filterKey: 'genre', filterValue: g,
+        extraFilters: { [key]: display },
+        pages: 1, skipIfExists: true
+      }))
+    ),
   ];
 
   // 5. Build each catalog
@@ -423,6 +655,9 @@ async function main() {
     }
   }
 
+  // A failed daily file is retried by the next run rather than kept for the day
+  if (failures === 0) writeJson(BUILD_STATE_PATH, { day: today });
+
   // 6. Create reverse-order aliases for multi-filter combos
   logger.info('Creating reverse-order alias files...');
   createReverseOrderAliases();
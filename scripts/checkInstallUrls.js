@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Round-trip check: the manifest URL the configure page installs must equal
+ * manifestUrl() for the config the server decodes from it, or every deep
+ * link into the addon points at a transport URL the user never installed.
+ *
+ * Runs the page's own shared script (not a copy of it) in a sandbox.
+ *   node scripts/checkInstallUrls.js
+ */
+
+const vm = require('vm');
+
+process.env.ADDON_URL = 'https://addon.example';
+
+const { configurePage } = require('../src/addon/configurePage');
+const { DEFAULT_CONFIG, decodeConfig, manifestUrl } = require('../src/addon/userConfig');
+const manifest = require('../src/manifest');
+
+const defaultOrder = [...new Set(manifest.catalogs.map(c => c.id))];
+
+const DEFAULT_FORM = {
+  catalogs: defaultOrder,
+  defaultOrder,
+  titleLanguage: 'english',
+  locale: 'en-US',
+  ratingSource: 'auto',
+  collapseSeasons: 'off',
+  adult: false,
+  blockGenres: '',
+  blockTags: ''
+};
+
+const CASES = [
+  { name: 'default', form: DEFAULT_FORM },
+  {
+    name: 'non-default',
+    form: {
+      ...DEFAULT_FORM,
+      catalogs: [defaultOrder[2], defaultOrder[0]],
+      titleLanguage: 'romaji',
+      collapseSeasons: 'show',
+      adult: true
+    }
+  },
+  { name: 'blocklists', form: { ...DEFAULT_FORM, blockGenres: ' Ecchi, Horror,, ecchi ', blockTags: 'Gore' } },
+  { name: 'adult + blocklist', form: { ...DEFAULT_FORM, adult: true, blockTags: 'Gore' } }
+];
+
+function sharedSandbox() {
+  const html = configurePage(DEFAULT_CONFIG);
+  const match = html.match(/<script id="shared">([\s\S]*?)<\/script>/);
+  if (!match) throw new Error('configure page has no shared script');
+  const sandbox = {};
+  vm.runInNewContext(match[1], sandbox);
+  return sandbox;
+}
+
+function main() {
+  const page = sharedSandbox();
+  let failed = 0;
+
+  for (const { name, form } of CASES) {
+    // What update() in the page builds…
+    const segment = page.encodeConfigSegment(page.formConfig(form), page.DEFAULT_CONFIG);
+    const installed = `${process.env.ADDON_URL}/${segment}/manifest.json`;
+    // …and what the server links to after Express decodes that segment
+    const linked = manifestUrl(decodeConfig(decodeURIComponent(segment)));
+
+    if (installed === linked) {
+      console.log(`ok    ${name}: ${installed}`);
+    } else {
+      console.log(`FAIL  ${name}:\n  installed ${installed}\n  linked    ${linked}`);
+      failed++;
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
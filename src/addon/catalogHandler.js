@@ -1,32 +1,113 @@
 'use strict';
 
-const { queryPage, queryAiringSchedule } = require('../anilist/client');
+const {
+  queryPage, queryAiringSchedule, queryMediaListCollection, queryRecommendations, queryStudioMedia, queryStaffMedia
+} = require('../anilist/client');
 const {
   TRENDING_QUERY,
   SEASON_QUERY,
   POPULAR_QUERY,
   TOP_QUERY,
+  HIDDEN_GEMS_QUERY,
   ANIME_DISCOVER_QUERY,
-  RECENTLY_UPDATED_QUERY
+  TAG_DISCOVER_QUERY,
+  STUDIO_MEDIA_QUERY,
+  STAFF_MEDIA_QUERY,
+  RECENTLY_UPDATED_QUERY,
+  AIRING_SCHEDULE_QUERY,
+  USER_LIST_QUERY,
+  SEARCH_QUERY,
+  RECOMMENDATIONS_QUERY,
+  FRANCHISE_QUERY,
+  withSeasonRelations
 } = require('../anilist/queries');
-const { resolveStremioId } = require('../mapping/idMapper');
-const { buildMetaPreview, getCurrentSeason } = require('../utils/anilistToMeta');
+const { fetchFranchise, watchOrder, collapseSeasons } = require('../anilist/franchise');
+const { isKnownTag } = require('../anilist/tags');
+const { getStudioId } = require('../anilist/studios');
+const { getRisingMedia, snapshotTime } = require('../anilist/rising');
+const { fetchSurprisePicks, surpriseDay, secondsUntilReshuffle } = require('../anilist/surprise');
+const { resolveStremioId, toAnilistId } = require('../mapping/idMapper');
+const {
+  buildMetaPreview, buildAiringPreview, buildListEntryPreview, buildFranchisePreview, buildCollapsedPreview,
+  buildRisingPreview,
+  getCurrentSeason, getNextSeason, getAiringWindow
+} = require('../utils/anilistToMeta');
+const { DEFAULT_CONFIG, normalizeConfig, configCacheKey } = require('./userConfig');
+const { isAllowed } = require('./contentPolicy');
+const manifest = require('../manifest');
 const memCache = require('../cache/memCache');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('catalog');
+const metrics = require('../utils/metrics');
+
+const handlerDuration = metrics.histogram('catalog_handler_duration_seconds', 'Catalog handler latency by catalog and outcome.');
+// Label values come from the request URL, so only declared catalogs get
+// their own series; anything else shares 'unknown'
+const KNOWN_CATALOGS = new Set(manifest.catalogs.map(c => c.id));
 
 // Maps Stremio display values → AniList enum values for the anime discover catalog
 const FORMAT_MAP = { 'TV': 'TV', 'Movie': 'MOVIE', 'OVA': 'OVA', 'ONA': 'ONA', 'Special': 'SPECIAL' };
 const STATUS_MAP = { 'Airing': 'RELEASING', 'Finished': 'FINISHED', 'Upcoming': 'NOT_YET_RELEASED' };
 const SORT_MAP = { 'Popular': 'POPULARITY_DESC', 'Top Rated': 'SCORE_DESC', 'Trending': 'TRENDING_DESC', 'Newest': 'START_DATE_DESC' };
+const SEASON_MAP = { 'Winter': 'WINTER', 'Spring': 'SPRING', 'Summer': 'SUMMER', 'Fall': 'FALL' };
+// Minimums for the range filters — AniList's _greater / _lesser bounds are exclusive
+const SCORE_MAP = { '60+': 60, '70+': 70, '80+': 80, '90+': 90 };
+const POPULARITY_MAP = { '1k+': 1000, '10k+': 10000, '50k+': 50000, '100k+': 100000 };
+const EPISODE_MAP = {
+  'Short (1-6)':    { episodes_greater: 0,  episodes_lesser: 7 },
+  '1 Cour (7-16)':  { episodes_greater: 6,  episodes_lesser: 17 },
+  '2 Cour (17-28)': { episodes_greater: 16, episodes_lesser: 29 },
+  'Long (29+)':     { episodes_greater: 28 }
+};
+const COUNTRY_MAP = { 'Japan': 'JP', 'South Korea': 'KR', 'China': 'CN' };
+// Hidden Gems thresholds; the defaults apply when a picker is left empty
+const GEM_SCORE_MAP = { '70+': 70, '75+': 75, '80+': 80, '85+': 85 };
+const GEM_POPULARITY_MAP = { 'Under 5k': 5000, 'Under 10k': 10000, 'Under 25k': 25000, 'Under 50k': 50000 };
+const GEM_DEFAULTS = { score: 75, popularity: 25000 };
+const GEM_MIN_POPULARITY = 1000; // fewer list entries than this and the score is noise
+// Studio and staff catalogs
+const CREDIT_SORT_MAP = { 'Popular': 'POPULARITY_DESC', 'Newest': 'START_DATE_DESC' };
+
+// User list catalog → AniList MediaListStatus
+const USER_LIST_STATUS = {
+  'anilist-user-watching':  'CURRENT',
+  'anilist-user-planning':  'PLANNING',
+  'anilist-user-completed': 'COMPLETED',
+  'anilist-user-paused':    'PAUSED'
+};
+const USER_LIST_TTL = 5 * 60; // 5 minutes — lists change as the user watches
+
+// Ranked catalogs that can show one tile per show (config.collapseSeasons)
+const COLLAPSIBLE_CATALOGS = new Set([
+  'anilist-trending', 'anilist-season', 'anilist-next-season', 'anilist-seasonal',
+  'anilist-popular', 'anilist-top', 'anilist-hidden-gems', 'anilist-anime', 'anilist-tags'
+]);
+const PAGE_SIZE = 100;            // items per Stremio page (see skipToPage)
+const MAX_BACKFILL_PAGES = 4;     // AniList pages read past the requested one
 
 // TTL constants (seconds)
 const TTL = {
   'anilist-trending':          60 * 60,        // 1 hour
   'anilist-season':            6 * 60 * 60,    // 6 hours
+  'anilist-next-season':       6 * 60 * 60,    // 6 hours
+  'anilist-seasonal':          6 * 60 * 60,    // 6 hours
   'anilist-popular':           12 * 60 * 60,   // 12 hours
   'anilist-top':               24 * 60 * 60,   // 24 hours
+  'anilist-hidden-gems':       24 * 60 * 60,   // 24 hours
+  'anilist-rising':            6 * 60 * 60,    // 6 hours — keyed to the trending snapshot
+  'anilist-surprise':          24 * 60 * 60,   // until midnight UTC, see fetchCatalog
   'anilist-anime':             6 * 60 * 60,    // 6 hours
+  'anilist-tags':              6 * 60 * 60,    // 6 hours
+  'anilist-studio':            12 * 60 * 60,   // 12 hours
+  'anilist-staff':             24 * 60 * 60,   // 24 hours
   'anilist-recently-updated':  30 * 60,        // 30 minutes
+  'anilist-airing-schedule':   60 * 60,        // 1 hour
+  'anilist-search':            6 * 60 * 60,    // 6 hours
+  'anilist-similar':           24 * 60 * 60,   // 24 hours
+  'anilist-franchise':         24 * 60 * 60,   // 24 hours
+  'anilist-user-watching':     USER_LIST_TTL,
+  'anilist-user-planning':     USER_LIST_TTL,
+  'anilist-user-completed':    USER_LIST_TTL,
+  'anilist-user-paused':       USER_LIST_TTL,
 };
 
 /**
@@ -38,24 +119,91 @@ function skipToPage(skip) {
   return Math.floor(s / 100) + 1;
 }
 
+/**
+ * Split a comma-separated extra value into a clean list.
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
 /**
  * Build the AniList query variables for a given catalog + extras.
  */
-function buildVariables(catalogId, extra, page) {
+function buildVariables(catalogId, extra, page, type, config = DEFAULT_CONFIG) {
   const vars = { page, perPage: 100 };
 
+  // Queries default to isAdult: false; null lifts the filter entirely
+  if (config.adult) vars.isAdult = null;
+
   if (catalogId === 'anilist-season') {
     const { season, year } = getCurrentSeason();
     vars.season = season;
     vars.seasonYear = year;
   }
 
+  if (catalogId === 'anilist-next-season') {
+    const { season, year } = getNextSeason();
+    vars.season = season;
+    vars.seasonYear = year;
+  }
+
+  // Seasonal browser — either extra may be omitted and defaults to the current season
+  if (catalogId === 'anilist-seasonal') {
+    const current = getCurrentSeason();
+    vars.season     = (extra && SEASON_MAP[extra.season]) || current.season;
+    vars.seasonYear = (extra && parseInt(extra.year, 10)) || current.year;
+  }
+
+  if (catalogId === 'anilist-hidden-gems') {
+    const minScore = GEM_SCORE_MAP[extra && extra.score] || GEM_DEFAULTS.score;
+    vars.averageScore_greater = minScore - 1;
+    vars.popularity_lesser    = GEM_POPULARITY_MAP[extra && extra.popularity] || GEM_DEFAULTS.popularity;
+    vars.popularity_greater   = GEM_MIN_POPULARITY;
+  }
+
+  if (catalogId === 'anilist-surprise' && extra && extra.genre) {
+    vars.genre = extra.genre;
+  }
+
   if (catalogId === 'anilist-anime' && extra) {
     if (extra.genre) vars.genre  = extra.genre;
     if (extra.format) vars.format = FORMAT_MAP[extra.format] || extra.format;
     if (extra.status) vars.status = STATUS_MAP[extra.status] || extra.status;
     if (extra.year)   vars.year   = parseInt(extra.year, 10);
     if (extra.sort)   vars.sort   = [SORT_MAP[extra.sort] || 'POPULARITY_DESC'];
+    if (SCORE_MAP[extra.score])           vars.averageScore_greater = SCORE_MAP[extra.score] - 1;
+    if (POPULARITY_MAP[extra.popularity]) vars.popularity_greater   = POPULARITY_MAP[extra.popularity] - 1;
+    if (EPISODE_MAP[extra.episodes])      Object.assign(vars, EPISODE_MAP[extra.episodes]);
+    if (COUNTRY_MAP[extra.country])       vars.countryOfOrigin      = COUNTRY_MAP[extra.country];
+  }
+
+  if (catalogId === 'anilist-tags' && extra) {
+    const excludeTags = splitList(extra.excludeTag).filter(isKnownTag);
+    const excludeGenres = splitList(extra.excludeGenre);
+    const minRank = parseInt(extra.minRank, 10); // "60%+" → 60
+    vars.tag_in = splitList(extra.tag).filter(isKnownTag);
+    if (excludeTags.length)   vars.tag_not_in   = excludeTags;
+    if (excludeGenres.length) vars.genre_not_in = excludeGenres;
+    if (minRank > 0)          vars.minimumTagRank = minRank;
+    if (extra.sort)           vars.sort = [SORT_MAP[extra.sort] || 'POPULARITY_DESC'];
+  }
+
+  if (catalogId === 'anilist-studio' && extra) {
+    // Picker names map to IDs; anything else (a studio outside the picker,
+    // reached from a meta link) is looked up by name
+    const studio = String(extra.studio || '').trim();
+    const studioId = getStudioId(studio) || (/^\d+$/.test(studio) ? parseInt(studio, 10) : null);
+    if (studioId) vars.id = studioId;
+    else vars.search = studio;
+    vars.sort = [CREDIT_SORT_MAP[extra.sort] || 'POPULARITY_DESC'];
+  }
+
+  if (catalogId === 'anilist-staff' && extra) {
+    // Meta links pass the AniList staff ID; a name is searched for
+    const staff = String(extra.staff || '').trim();
+    if (/^\d+$/.test(staff)) vars.id = parseInt(staff, 10);
+    else vars.search = staff;
+    vars.sort = [CREDIT_SORT_MAP[extra.sort] || 'POPULARITY_DESC'];
   }
 
   if (catalogId === 'anilist-recently-updated') {
@@ -64,6 +212,18 @@ function buildVariables(catalogId, extra, page) {
     vars.airingAt_lesser  = now;
   }
 
+  if (catalogId === 'anilist-airing-schedule') {
+    // genre carries the day picker value (Today, Monday … Sunday)
+    Object.assign(vars, getAiringWindow(extra && extra.genre));
+  }
+
+  if (catalogId === 'anilist-search') {
+    vars.search = extra.search.trim();
+    // The movie catalog only returns films; the series catalog returns everything else
+    if (type === 'movie') vars.format_in = ['MOVIE'];
+    else vars.format_not_in = ['MOVIE', 'MUSIC'];
+  }
+
   return vars;
 }
 
@@ -74,30 +234,134 @@ function pickQuery(catalogId) {
   switch (catalogId) {
     case 'anilist-trending': return TRENDING_QUERY;
     case 'anilist-season':   return SEASON_QUERY;
+    case 'anilist-next-season':        return SEASON_QUERY;
+    case 'anilist-seasonal':           return SEASON_QUERY;
     case 'anilist-popular':  return POPULAR_QUERY;
     case 'anilist-top':      return TOP_QUERY;
+    case 'anilist-hidden-gems':        return HIDDEN_GEMS_QUERY;
+    case 'anilist-rising':             return TRENDING_QUERY;
+    case 'anilist-surprise':           return ANIME_DISCOVER_QUERY;
     case 'anilist-anime':              return ANIME_DISCOVER_QUERY;
+    case 'anilist-tags':               return TAG_DISCOVER_QUERY;
+    case 'anilist-studio':             return STUDIO_MEDIA_QUERY;
+    case 'anilist-staff':              return STAFF_MEDIA_QUERY;
     case 'anilist-recently-updated':   return RECENTLY_UPDATED_QUERY;
+    case 'anilist-airing-schedule':    return AIRING_SCHEDULE_QUERY;
+    case 'anilist-search':             return SEARCH_QUERY;
+    case 'anilist-similar':            return RECOMMENDATIONS_QUERY;
+    case 'anilist-franchise':          return FRANCHISE_QUERY;
+    case 'anilist-user-watching':
+    case 'anilist-user-planning':
+    case 'anilist-user-completed':
+    case 'anilist-user-paused':        return USER_LIST_QUERY;
     default: return null;
   }
 }
 
+/**
+ * Fetch a user's whole list for one status, cached per user so every page
+ * of the catalog is sliced from a single AniList request.
+ */
+function fetchUserList(userName, status) {
+  const cacheKey = `userlist:${userName.toLowerCase()}:${status}`;
+  return memCache.getOrFetch(cacheKey, USER_LIST_TTL, () =>
+    queryMediaListCollection(USER_LIST_QUERY, { userName, status })
+  );
+}
+
+/**
+ * Fetch one page of recommendations for a show, cached per source AniList ID
+ * so every ID form (tmdb:, kitsu:, anilist:) and every config shares it.
+ */
+function fetchRecommendations(anilistId, page) {
+  const cacheKey = `similar:${anilistId}:${page}`;
+  return memCache.getOrFetch(cacheKey, TTL['anilist-similar'], () =>
+    queryRecommendations(RECOMMENDATIONS_QUERY, { id: anilistId, page })
+  );
+}
+
+/**
+ * Every airing in a schedule catalog's window (all AniList pages merged),
+ * cached once for all Stremio pages and configs — the queries take no
+ * adult flag, the content policy is applied per install afterwards.
+ */
+function fetchAiringSchedules(catalogId, query, vars, extraKey) {
+  const cacheKey = `airing:${catalogId}:${extraKey}`;
+  return memCache.getOrFetch(cacheKey, TTL[catalogId], () => {
+    const { page, perPage, ...window } = vars;
+    return queryAiringSchedule(query, window);
+  });
+}
+
+/**
+ * The day's surprise picks, cached until they reshuffle and shared by every
+ * config with the same adult setting.
+ */
+function fetchSurprise(vars, day) {
+  const cacheKey = `surprise:${day}:${vars.genre || ''}:${vars.isAdult === null ? 'adult' : 'sfw'}`;
+  return memCache.getOrFetch(cacheKey, secondsUntilReshuffle(), () => fetchSurprisePicks(vars, day));
+}
+
+/**
+ * One page of a ranked catalog with seasons collapsed. A show's seasons can
+ * sit on different AniList pages, so the collapsed list is always built from
+ * page 1: Stremio page N holds groups N×100-99 … N×100, back-filled from the
+ * following AniList pages until it is full or the results run out. Raw pages
+ * are cached on their own and shared by every page and config.
+ *
+ * @returns {Promise<Array<{ media: object, count: number }>>}
+ */
+async function fetchCollapsedPage(catalogId, query, vars, extraKey, page, config) {
+  const ttl = TTL[catalogId] || 3600;
+  const rawKey = `anilist-page:${catalogId}:${extraKey}:${config.adult ? 'adult' : 'sfw'}`;
+  // AniList caps perPage at 50, so a full page takes at least two requests
+  const maxRawPages = page * 2 + MAX_BACKFILL_PAGES;
+
+  const mediaList = [];
+  const stremioIds = new Map();
+  let groups = [];
+  for (let rawPage = 1; rawPage <= maxRawPages; rawPage++) {
+    const pageData = await memCache.getOrFetch(`${rawKey}:${rawPage}`, ttl, () =>
+      queryPage(withSeasonRelations(query), { ...vars, page: rawPage })
+    );
+    const media = ((pageData && pageData.media) || []).filter(m => isAllowed(m, config));
+    await Promise.all(media.map(async m => stremioIds.set(m.id, await resolveStremioId(m))));
+    mediaList.push(...media);
+
+    groups = collapseSeasons(mediaList, config.collapseSeasons, stremioIds);
+    if (groups.length >= page * PAGE_SIZE) break;
+    if (!pageData || !pageData.pageInfo || !pageData.pageInfo.hasNextPage) break;
+  }
+  return groups.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+}
+
 /**
  * Fetch a catalog page — checks cache first, queries AniList on miss.
  *
  * @param {string} catalogId
- * @param {object} extra  - { skip?, genre? }
+ * @param {object} extra  - { skip?, genre?, search?, similar?, franchise?, tag?, studio?, staff?, … }
+ * @param {string} [type] - Stremio type the catalog was requested under
+ * @param {object} [config] - normalized per-install config
  * @returns {Promise<{ metas, cacheMaxAge, staleRevalidate, staleError }>}
  */
-async function fetchCatalog(catalogId, extra = {}) {
+async function fetchCatalog(catalogId, extra = {}, type = 'series', config = DEFAULT_CONFIG) {
   const page = skipToPage(extra.skip);
   const extraKey = Object.entries(extra)
     .filter(([k]) => k !== 'skip')
     .sort(([a], [b]) => a.localeCompare(b))
     .map(([k, v]) => `${k}=${v}`)
     .join('&');
-  const cacheKey = `catalog:${catalogId}:${page}:${extraKey}`;
-  const ttl = TTL[catalogId] || 3600;
+  const listStatus = USER_LIST_STATUS[catalogId];
+  const userName = listStatus ? process.env.ANILIST_USERNAME : null;
+  let cacheKey = `catalog:${configCacheKey(config)}:${type}:${catalogId}:${page}:${extraKey}${userName ? `:user=${userName.toLowerCase()}` : ''}`;
+  // A new trending snapshot means a new Rising list
+  if (catalogId === 'anilist-rising') cacheKey += `:snapshot=${snapshotTime()}`;
+  const collapse = config.collapseSeasons !== 'off' && COLLAPSIBLE_CATALOGS.has(catalogId);
+  if (collapse) cacheKey += `:collapse=${config.collapseSeasons}`;
+  // Surprise Me is seeded by the UTC date and lives until it reshuffles
+  const day = catalogId === 'anilist-surprise' ? surpriseDay() : null;
+  if (day) cacheKey += `:day=${day}`;
+  const ttl = day ? secondsUntilReshuffle() : (TTL[catalogId] || 3600);
 
   const query = pickQuery(catalogId);
   if (!query) {
@@ -105,36 +369,126 @@ async function fetchCatalog(catalogId, extra = {}) {
     return { metas: [] };
   }
 
+  if (catalogId === 'anilist-search' && !(extra.search && extra.search.trim())) {
+    return { metas: [] };
+  }
+
+  if (listStatus && !userName) {
+    return { metas: [] };
+  }
+
+  const similarTo = catalogId === 'anilist-similar' ? toAnilistId(extra.similar) : null;
+  if (catalogId === 'anilist-similar' && !similarTo) {
+    return { metas: [] };
+  }
+
+  if (catalogId === 'anilist-studio' && !(extra.studio && extra.studio.trim())) {
+    return { metas: [] };
+  }
+
+  if (catalogId === 'anilist-staff' && !(extra.staff && extra.staff.trim())) {
+    return { metas: [] };
+  }
+
+  // Without an included tag the tag catalog would just be "all anime"
+  if (catalogId === 'anilist-tags' && !splitList(extra.tag).some(isKnownTag)) {
+    return { metas: [] };
+  }
+
+  const franchiseOf = catalogId === 'anilist-franchise' ? toAnilistId(extra.franchise) : null;
+  if (catalogId === 'anilist-franchise' && !franchiseOf) {
+    return { metas: [] };
+  }
+
+  // The response carries its own staleRevalidate / staleError windows
   return memCache.getOrFetch(cacheKey, ttl, async () => {
     logger.info(`catalog cache miss: ${cacheKey} — querying AniList`);
 
-    const vars = buildVariables(catalogId, extra, page);
+    const vars = buildVariables(catalogId, extra, page, type, config);
 
     let mediaList;
-    if (catalogId === 'anilist-recently-updated') {
-      // Airing schedule returns per-episode entries — deduplicate by media ID
-      const schedules = await queryAiringSchedule(query, vars);
-      const seen = new Set();
-      mediaList = [];
+    // Upcoming episode per media ID, only for the airing schedule catalog
+    let nextAiring = null;
+    // List entry (with watch progress) per media ID, only for user list catalogs
+    let listEntries = null;
+    // 1-based position per media ID, only for the franchise catalog
+    let positions = null;
+    // Entries collapsed into each tile, only with collapseSeasons on
+    let seasonCounts = null;
+    // Chart rank and climb per media ID, only for the rising catalog
+    let climbs = null;
+    if (catalogId === 'anilist-recently-updated' || catalogId === 'anilist-airing-schedule') {
+      // Airing schedule returns per-episode entries — deduplicate by media ID,
+      // keeping the first episode in sort order, then page the shows here
+      const schedules = await fetchAiringSchedules(catalogId, query, vars, extraKey);
+      const seen = new Map();
       for (const schedule of schedules) {
-        if (!schedule.media || schedule.media.isAdult) continue;
+        if (!schedule.media || !isAllowed(schedule.media, config)) continue;
         if (seen.has(schedule.media.id)) continue;
-        seen.add(schedule.media.id);
-        mediaList.push(schedule.media);
+        seen.set(schedule.media.id, schedule);
+      }
+      const pageSchedules = [...seen.values()].slice((page - 1) * 100, page * 100);
+      mediaList = pageSchedules.map(schedule => schedule.media);
+      if (catalogId === 'anilist-airing-schedule') nextAiring = seen;
+    } else if (listStatus) {
+      // The whole list comes back in one response — page it here
+      const entries = await fetchUserList(userName, listStatus);
+      listEntries = new Map();
+      mediaList = [];
+      for (const entry of entries.slice((page - 1) * 100, page * 100)) {
+        if (!entry.media) continue;
+        if (listEntries.has(entry.media.id)) continue;
+        listEntries.set(entry.media.id, entry);
+        mediaList.push(entry.media);
       }
+    } else if (franchiseOf) {
+      // The traversal is cached per franchise — order and page it here.
+      // genre carries the order picker value (Watch Order, Release Order).
+      // Filtered up front so the positions have no gaps.
+      const members = await fetchFranchise(franchiseOf);
+      const ordered = (extra.genre === 'Release Order' ? members : watchOrder(members))
+        .filter(media => isAllowed(media, config));
+      positions = new Map(ordered.map((media, i) => [media.id, i + 1]));
+      mediaList = ordered.slice((page - 1) * 100, page * 100);
+    } else if (catalogId === 'anilist-studio') {
+      mediaList = await queryStudioMedia(query, vars);
+    } else if (catalogId === 'anilist-staff') {
+      mediaList = await queryStaffMedia(query, vars);
+    } else if (catalogId === 'anilist-rising') {
+      // Computed from the trending snapshots the scheduler takes
+      const rising = getRisingMedia().filter(entry => isAllowed(entry.media, config));
+      climbs = new Map(rising.map(entry => [entry.media.id, entry]));
+      mediaList = rising.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(entry => entry.media);
+    } else if (day) {
+      mediaList = page === 1 ? await fetchSurprise(vars, day) : [];
+    } else if (similarTo) {
+      mediaList = await fetchRecommendations(similarTo, page);
+    } else if (collapse) {
+      const groups = await fetchCollapsedPage(catalogId, query, vars, extraKey, page, config);
+      seasonCounts = new Map(groups.map(g => [g.media.id, g.count]));
+      mediaList = groups.map(g => g.media);
     } else {
       const pageData = await queryPage(query, vars);
       mediaList = (pageData && pageData.media) || [];
     }
 
+    // Content policy: adult opt-in and the install's genre / tag blocklists
+    mediaList = mediaList.filter(media => isAllowed(media, config));
+
     // Resolve all IDs concurrently
-    // Items from the anime discover catalog get type 'anime' so they appear under
-    // the Anime section of the Discovery tab, separate from Movies and Series.
-    const overrideType = catalogId === 'anilist-anime' ? 'anime' : undefined;
+    // Items from the 'anime' catalogs (discover, tags, studios) keep type 'anime'
+    // so they appear under the Anime section of the Discovery tab, separate
+    // from Movies and Series.
+    const overrideType = type === 'anime' ? 'anime' : undefined;
     const metas = await Promise.all(
       mediaList.map(async media => {
         const stremioId = await resolveStremioId(media);
-        return buildMetaPreview(media, stremioId, overrideType);
+        if (nextAiring) return buildAiringPreview(nextAiring.get(media.id), stremioId, config);
+        if (listEntries) return buildListEntryPreview(listEntries.get(media.id), stremioId, config);
+        if (positions) return buildFranchisePreview(media, stremioId, positions.get(media.id), config);
+        if (climbs) return buildRisingPreview(media, stremioId, climbs.get(media.id), config);
+        if (seasonCounts) return buildCollapsedPreview(media, stremioId, seasonCounts.get(media.id), overrideType, config);
+        return buildMetaPreview(media, stremioId, overrideType, config);
       })
     );
 
@@ -144,7 +498,7 @@ async function fetchCatalog(catalogId, extra = {}) {
       staleRevalidate: ttl * 2,
       staleError: 86400
     };
-  });
+  }, response => response);
 }
 
 /**
@@ -152,11 +506,15 @@ async function fetchCatalog(catalogId, extra = {}) {
  * @param {object} builder
  */
 function defineCatalogHandler(builder) {
-  builder.defineCatalogHandler(async ({ type, id, extra }) => {
+  builder.defineCatalogHandler(async ({ type, id, extra, config }) => {
+    const done = handlerDuration.startTimer({ catalog: KNOWN_CATALOGS.has(id) ? id : 'unknown' });
     try {
-      return await fetchCatalog(id, extra || {});
+      const result = await fetchCatalog(id, extra || {}, type, normalizeConfig(config));
+      done({ outcome: 'ok' });
+      return result;
     } catch (err) {
       logger.error(`catalogHandler error [${id}]:`, err.message);
+      done({ outcome: 'error' });
       return { metas: [] };
     }
   });
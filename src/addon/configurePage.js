@@ -0,0 +1,182 @@
+'use strict';
+
+const manifest = require('../manifest');
+const {
+  TITLE_LANGUAGES, LOCALES, RATING_SOURCES, COLLAPSE_MODES, DEFAULT_CONFIG,
+  toNameList, formConfig, encodeConfigSegment, installPath
+} = require('./userConfig');
+
+const TITLE_LANGUAGE_LABELS = { english: 'English', romaji: 'Romaji', native: 'Native' };
+const LOCALE_LABELS = {
+  'en-US': 'English', 'ja-JP': 'Japanese', 'es-ES': 'Spanish (Spain)', 'es-MX': 'Spanish (Latin America)',
+  'fr-FR': 'French', 'de-DE': 'German', 'it-IT': 'Italian', 'pt-BR': 'Portuguese (Brazil)',
+  'ru-RU': 'Russian', 'ko-KR': 'Korean', 'zh-CN': 'Chinese (Simplified)'
+};
+const RATING_SOURCE_LABELS  = { auto: 'Automatic (TMDB when available)', anilist: 'AniList', none: 'Hide ratings' };
+const COLLAPSE_MODE_LABELS  = { off: 'Every season', show: 'One tile per show', franchise: 'One tile per franchise' };
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Every catalog once, in manifest order (the search catalog is declared for
+ * both types).
+ * @returns {Array<{ id: string, name: string }>}
+ */
+function uniqueCatalogs() {
+  const seen = new Set();
+  const all = [];
+  for (const c of manifest.catalogs) {
+    if (seen.has(c.id)) continue;
+    seen.add(c.id);
+    all.push({ id: c.id, name: c.name });
+  }
+  return all;
+}
+
+/**
+ * One row per catalog ID, in the order the install currently uses, followed
+ * by the disabled ones.
+ */
+function catalogRows(config) {
+  const all = uniqueCatalogs();
+
+  const enabled = config.catalogs || all.map(c => c.id);
+  const ordered = [
+    ...enabled.map(id => all.find(c => c.id === id)).filter(Boolean),
+    ...all.filter(c => !enabled.includes(c.id))
+  ];
+
+  return ordered.map(c => `
+        <li data-id="${escapeHtml(c.id)}">
+          <label><input type="checkbox" ${enabled.includes(c.id) ? 'checked' : ''}> ${escapeHtml(c.name)}</label>
+          <span class="move"><button type="button" data-dir="-1">&uarr;</button><button type="button" data-dir="1">&darr;</button></span>
+        </li>`).join('');
+}
+
+function selectOptions(values, labels, selected) {
+  return values.map(v =>
+    `<option value="${escapeHtml(v)}" ${v === selected ? 'selected' : ''}>${escapeHtml(labels[v] || v)}</option>`
+  ).join('');
+}
+
+/**
+ * The userConfig functions the page's script shares with the server, and the
+ * defaults they need. Kept in its own script tag so it can be checked on its
+ * own (scripts/checkInstallUrls.js).
+ */
+function sharedScript() {
+  return [
+    toNameList.toString(),
+    formConfig.toString(),
+    encodeConfigSegment.toString(),
+    `var DEFAULT_CONFIG = ${JSON.stringify(DEFAULT_CONFIG).replace(/</g, '\\u003c')};`
+  ].join('\n');
+}
+
+/**
+ * Render the configure page. The page builds the install URL client-side
+ * with the same code as manifestUrl(), in the `/:config/manifest.json`
+ * format the SDK router understands.
+ *
+ * @param {object} config - normalized config to pre-fill (defaults for a fresh install)
+ * @returns {string} HTML
+ */
+function configurePage(config) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(manifest.name)} — Configure</title>
+  <style>
+    body { font-family: sans-serif; background: #14141f; color: #eee; max-width: 640px; margin: 2em auto; padding: 0 1em; }
+    h1 { font-size: 1.6em; }
+    fieldset { border: 1px solid #444; margin-bottom: 1em; }
+    ul { list-style: none; padding: 0; margin: 0; }
+    li { display: flex; justify-content: space-between; padding: 0.3em 0; border-bottom: 1px solid #2a2a3a; }
+    button { background: #8a5aab; color: #fff; border: 0; padding: 0.3em 0.7em; margin-left: 0.2em; cursor: pointer; }
+    a.install { display: inline-block; background: #8a5aab; color: #fff; padding: 0.7em 1.5em; text-decoration: none; margin-right: 1em; }
+    input[type=text] { width: 100%; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(manifest.name)}</h1>
+  <p>${escapeHtml(manifest.description)}</p>
+  <form id="config">
+    <fieldset>
+      <legend>Catalogs (tick to show, arrows to reorder)</legend>
+      <ul id="catalogs" data-default="${escapeHtml(uniqueCatalogs().map(c => c.id).join(','))}">${catalogRows(config)}
+      </ul>
+    </fieldset>
+    <fieldset>
+      <legend>Display</legend>
+      <p><label>Title language <select name="titleLanguage">${selectOptions(TITLE_LANGUAGES, TITLE_LANGUAGE_LABELS, config.titleLanguage)}</select></label></p>
+      <p><label>Description language <select name="locale">${selectOptions(LOCALES, LOCALE_LABELS, config.locale)}</select></label></p>
+      <p><label>Rating source <select name="ratingSource">${selectOptions(RATING_SOURCES, RATING_SOURCE_LABELS, config.ratingSource)}</select></label></p>
+      <p><label>Seasons in catalogs <select name="collapseSeasons">${selectOptions(COLLAPSE_MODES, COLLAPSE_MODE_LABELS, config.collapseSeasons)}</select></label></p>
+    </fieldset>
+    <fieldset>
+      <legend>Content</legend>
+      <p><label><input type="checkbox" name="adult" ${config.adult ? 'checked' : ''}> Include adult titles</label></p>
+      <p><label>Hide genres <input type="text" name="blockGenres" placeholder="e.g. Ecchi, Horror" value="${escapeHtml(config.blockGenres.join(', '))}"></label></p>
+      <p><label>Hide tags <input type="text" name="blockTags" placeholder="e.g. Gore, Body Horror" value="${escapeHtml(config.blockTags.join(', '))}"></label></p>
+    </fieldset>
+  </form>
+  <p>
+    <a class="install" id="install" href="#">Install</a>
+    <input type="text" id="manifestUrl" readonly>
+  </p>
+  <script id="shared">
+${sharedScript()}
+  </script>
+  <script>
+    var form = document.getElementById('config');
+    var list = document.getElementById('catalogs');
+
+    function currentConfig() {
+      var catalogs = [];
+      list.querySelectorAll('li').forEach(function (li) {
+        if (li.querySelector('input').checked) catalogs.push(li.dataset.id);
+      });
+      return formConfig({
+        catalogs: catalogs,
+        defaultOrder: list.dataset.default.split(','),
+        titleLanguage: form.titleLanguage.value,
+        locale: form.locale.value,
+        ratingSource: form.ratingSource.value,
+        collapseSeasons: form.collapseSeasons.value,
+        adult: form.adult.checked,
+        blockGenres: form.blockGenres.value,
+        blockTags: form.blockTags.value
+      });
+    }
+
+    function update() {
+      var path = '/' + encodeConfigSegment(currentConfig(), DEFAULT_CONFIG) + '/manifest.json';
+      document.getElementById('manifestUrl').value = window.location.origin + path;
+      document.getElementById('install').href = 'stremio://' + window.location.host + path;
+    }
+
+    list.addEventListener('click', function (e) {
+      var dir = e.target.dataset && e.target.dataset.dir;
+      if (!dir) return;
+      var li = e.target.closest('li');
+      if (dir === '-1' && li.previousElementSibling) list.insertBefore(li, li.previousElementSibling);
+      if (dir === '1' && li.nextElementSibling) list.insertBefore(li.nextElementSibling, li);
+      update();
+    });
+    form.addEventListener('change', update);
+    update();
+  </script>
+  <noscript>Default install: <code>${escapeHtml(installPath(config))}</code></noscript>
+</body>
+</html>`;
+}
+
+module.exports = { configurePage };
@@ -0,0 +1,51 @@
+'use strict';
+
+// Per-install content policy: adult opt-in plus genre / tag blocklists.
+// AniList queries only pre-filter adult titles; everything else is judged
+// here, on the media objects themselves, so the same rules hold for every
+// catalog and for the links on a detail page.
+
+function lowerSet(names) {
+  return new Set((names || []).map(n => n.toLowerCase()));
+}
+
+/**
+ * Whether a media item may be shown under this config.
+ *
+ * @param {object} media - AniList media (isAdult, genres, tags)
+ * @param {object} config - normalized per-install config
+ * @returns {boolean}
+ */
+function isAllowed(media, config) {
+  if (!media) return false;
+  if (media.isAdult && !config.adult) return false;
+
+  if (config.blockGenres.length > 0) {
+    const blocked = lowerSet(config.blockGenres);
+    if ((media.genres || []).some(g => blocked.has(g.toLowerCase()))) return false;
+  }
+  if (config.blockTags.length > 0) {
+    const blocked = lowerSet(config.blockTags);
+    if ((media.tags || []).some(t => blocked.has(t.name.toLowerCase()))) return false;
+  }
+  return true;
+}
+
+/**
+ * Tags fit to show on a detail page: never spoiler tags (general or for this
+ * show), adult tags only for installs that opted in, strongest first.
+ *
+ * @param {object} media
+ * @param {object} config
+ * @param {number} [limit]
+ * @returns {string[]} tag names
+ */
+function visibleTags(media, config, limit = 10) {
+  return (media.tags || [])
+    .filter(t => !t.isGeneralSpoiler && !t.isMediaSpoiler && (!t.isAdult || config.adult))
+    .sort((a, b) => (b.rank || 0) - (a.rank || 0))
+    .slice(0, limit)
+    .map(t => t.name);
+}
+
+module.exports = { isAllowed, visibleTags };
@@ -1,16 +1,244 @@
 'use strict';
 
 const { queryMedia }    = require('../anilist/client');
-const { MEDIA_BY_ID_QUERY } = require('../anilist/queries');
-const { buildFullMeta, buildVideosFromKitsuEpisodes } = require('../utils/anilistToMeta');
+const { MEDIA_BY_ID_QUERY, MEDIA_STATUS_QUERY } = require('../anilist/queries');
+const {
+  buildFullMeta, buildVideosFromKitsuEpisodes, addNextAiringVideo, getTitle, getRelatedMedia, buildRelatedLinks,
+  buildDiscoverLink, getCredits
+} = require('../utils/anilistToMeta');
 const { fetchKitsuEpisodes } = require('../kitsu/client');
-const { fetchTmdbSeries, fetchTmdbAllEpisodes, fetchTmdbExternalIds, fetchTmdbAggregateCredits, buildMetaFromTmdb } = require('../tmdb/client');
+const {
+  fetchTmdbSeries, fetchTmdbAllEpisodes, fetchTmdbExternalIds, fetchTmdbAggregateCredits, sliceEpisodesForMapping, buildMetaFromTmdb,
+  fetchTmdbMovie, fetchTmdbMovieExternalIds, fetchTmdbMovieCredits, buildMetaFromTmdbMovie
+} = require('../tmdb/client');
 const { getAnilistId, getKitsuId } = require('../mapping/offlineDb');
-const { getTmdbId, getAnilistIdFromTmdb } = require('../mapping/fribbDb');
+const { getTmdbMapping, getAnilistIdFromTmdb } = require('../mapping/fribbDb');
+const { resolveKnownStremioId } = require('../mapping/idMapper');
+const { DEFAULT_CONFIG, normalizeConfig, configCacheKey, manifestUrl, hasCatalog } = require('./userConfig');
+const { isAllowed, visibleTags } = require('./contentPolicy');
+const manifest = require('../manifest');
 const memCache = require('../cache/memCache');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('meta');
+const metrics = require('../utils/metrics');
+
+const handlerDuration = metrics.histogram('meta_handler_duration_seconds', 'Meta handler latency by type and outcome.');
+// Only declared types become label values; the rest share 'unknown'
+const KNOWN_TYPES = new Set(manifest.types);
 
 const META_TTL = 24 * 60 * 60; // 24 hours
+const MIN_META_TTL = 5 * 60;    // 5 minutes
+const AIRING_GRACE = 5 * 60;    // refresh this long after an episode airs
+// IDs that resolved to nothing, and AniList-only metas built because TMDB
+// failed, are retried soon instead of sticking for a day
+const NULL_META_TTL = 10 * 60;
+const FALLBACK_META_TTL = 30 * 60;
+
+/**
+ * Cache lifetime for a meta: normally META_TTL, but cut short so the entry
+ * expires just after the next upcoming episode airs.
+ */
+function metaTtl(meta) {
+  const now = Date.now();
+  let ttl = META_TTL;
+  for (const video of (meta && meta.videos) || []) {
+    if (!video.released) continue;
+    const untilRelease = (new Date(video.released).getTime() - now) / 1000;
+    if (untilRelease > 0) ttl = Math.min(ttl, Math.ceil(untilRelease) + AIRING_GRACE);
+  }
+  return Math.max(MIN_META_TTL, ttl);
+}
+
+function metaResponse(meta, maxTtl = META_TTL) {
+  const ttl = Math.min(metaTtl(meta), maxTtl);
+  return { meta, cacheMaxAge: ttl, staleRevalidate: ttl * 2, staleError: 86400 };
+}
+
+/**
+ * AniList titles, score, next episode, studio and relations for a
+ * TMDB-sourced show. Best-effort — returns null on error so TMDB meta never
+ * fails because of it.
+ */
+async function fetchAnilistStatus(anilistId) {
+  try {
+    return await queryMedia(MEDIA_STATUS_QUERY, { id: anilistId });
+  } catch (err) {
+    logger.warn(`AniList status lookup failed for anilist:${anilistId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Apply the install's title language and rating source to a TMDB-sourced meta.
+ * TMDB names are English, so other languages take the AniList title.
+ */
+function applyConfigToTmdbMeta(meta, anilistMedia, config) {
+  if (anilistMedia && anilistMedia.title && config.titleLanguage !== 'english') {
+    meta.name = getTitle(anilistMedia.title, config.titleLanguage);
+  }
+  if (config.ratingSource === 'none') {
+    delete meta.imdbRating;
+  } else if (config.ratingSource === 'anilist') {
+    if (anilistMedia && anilistMedia.averageScore) meta.imdbRating = (anilistMedia.averageScore / 10).toFixed(1);
+    else delete meta.imdbRating;
+  }
+  return meta;
+}
+
+// Relation categories that make an entry part of a multi-entry franchise
+const FRANCHISE_CATEGORIES = new Set(['Prequel', 'Sequel', 'Side Story', 'Alternative']);
+
+/**
+ * Links into our own catalogs for this show — More Like This and the
+ * franchise watch order — when the install has those catalogs and we know
+ * our public URL.
+ */
+function catalogLinks(anilistId, related, installUrl, config) {
+  if (!installUrl) return [];
+
+  const links = [];
+  if (hasCatalog(config, 'anilist-franchise') && related.some(r => FRANCHISE_CATEGORIES.has(r.category))) {
+    links.push(buildDiscoverLink('Watch Order', 'Franchise', installUrl, 'series', 'anilist-franchise', { franchise: `anilist:${anilistId}` }));
+  }
+  if (hasCatalog(config, 'anilist-similar') && related.some(r => r.category === 'Recommended')) {
+    links.push(buildDiscoverLink('More Like This', 'Recommended', installUrl, 'series', 'anilist-similar', { similar: `anilist:${anilistId}` }));
+  }
+  return links;
+}
+
+/**
+ * The main studio as a link into the By Studio catalog, or to its AniList
+ * page when the install can't open that catalog.
+ */
+function studioLink(anilistMedia, installUrl, config) {
+  const studio = anilistMedia.studios && anilistMedia.studios.nodes && anilistMedia.studios.nodes[0];
+  if (!studio) return null;
+  if (installUrl && hasCatalog(config, 'anilist-studio')) {
+    return buildDiscoverLink(studio.name, 'Studios', installUrl, 'anime', 'anilist-studio', { studio: studio.name });
+  }
+  return { name: studio.name, category: 'Studios', url: studio.siteUrl || undefined };
+}
+
+/**
+ * Voice actor and key staff links. Each opens the staff catalog with
+ * everything that person worked on, or their AniList page when the install
+ * can't open that catalog.
+ */
+function creditLinks(anilistMedia, installUrl, config) {
+  const { voiceActors, staff } = getCredits(anilistMedia);
+  const toCatalog = installUrl && hasCatalog(config, 'anilist-staff');
+  const link = (name, category, person) => toCatalog
+    ? buildDiscoverLink(name, category, installUrl, 'series', 'anilist-staff', { staff: person.id })
+    : { name, category, url: person.siteUrl || undefined };
+
+  return [
+    ...voiceActors.map(va => link(`${va.staff.name.full} (${va.character})`, va.category, va.staff)),
+    ...staff.map(s => link(s.staff.name.full, s.category, s.staff))
+  ];
+}
+
+/**
+ * The show's tags as links into the tag catalog. Spoiler tags never show,
+ * and adult tags only for installs that opted in to adult titles.
+ */
+function tagLinks(anilistMedia, installUrl, config) {
+  if (!installUrl || !hasCatalog(config, 'anilist-tags')) return [];
+  return visibleTags(anilistMedia, config).map(name =>
+    buildDiscoverLink(name, 'Tags', installUrl, 'anime', 'anilist-tags', { tag: name })
+  );
+}
+
+/**
+ * Add the AniList-driven links to a meta: the main studio, tags, cast and staff,
+ * prequel / sequel / side story / recommendation links and the links from
+ * catalogLinks().
+ * Related entries the install's content policy hides are left out; the rest
+ * link to the ID our catalogs use where the cache or the mapping databases
+ * know it and to their anilist: ID otherwise — a meta with dozens of
+ * relations and recommendations must not fan out into Kitsu searches.
+ */
+function addAnilistLinks(meta, anilistMedia, config) {
+  if (!anilistMedia) return meta;
+  const related = getRelatedMedia(anilistMedia).filter(r => isAllowed(r.media, config));
+  const installUrl = manifestUrl(config);
+  const stremioIds = related.map(r => resolveKnownStremioId(r.media));
+
+  // buildFullMeta already lists the studio with its AniList page — replace it
+  const studio = studioLink(anilistMedia, installUrl, config);
+  const links = (meta.links || []).filter(l => !(studio && l.category === 'Studios'));
+  if (studio) links.push(studio);
+
+  meta.links = [
+    ...links,
+    ...tagLinks(anilistMedia, installUrl, config),
+    ...creditLinks(anilistMedia, installUrl, config),
+    ...catalogLinks(anilistMedia.id, related, installUrl, config),
+    ...buildRelatedLinks(related, stremioIds, config)
+  ];
+  return meta;
+}
+
+/**
+ * Work out which TMDB namespace a bare "tmdb:{id}" refers to. Films are
+ * handed out as "tmdb:movie:{id}", so a bare ID is normally a show — but
+ * library items from before that can be films.
+ * Movie requests look in the movie namespace; anything else prefers TV and
+ * falls back to movie (the anime discover catalog lists films as type "anime").
+ * Unmapped IDs are assumed to match the requested type.
+ *
+ * @returns {{ tmdbType: 'tv'|'movie', anilistId: number|null }}
+ */
+function resolveTmdbNamespace(tmdbId, requestedType) {
+  if (requestedType === 'movie') {
+    return { tmdbType: 'movie', anilistId: getAnilistIdFromTmdb(tmdbId, 'movie') };
+  }
+  const tvAnilistId = getAnilistIdFromTmdb(tmdbId, 'tv');
+  if (tvAnilistId) return { tmdbType: 'tv', anilistId: tvAnilistId };
+  const movieAnilistId = getAnilistIdFromTmdb(tmdbId, 'movie');
+  if (movieAnilistId) return { tmdbType: 'movie', anilistId: movieAnilistId };
+  return { tmdbType: 'tv', anilistId: null };
+}
+
+/**
+ * Build a movie meta from TMDB. Returns null if TMDB has no such movie.
+ */
+async function fetchTmdbMovieMeta(tmdbId, id, anilistId, config) {
+  const [movie, externalIds, credits] = await Promise.all([
+    fetchTmdbMovie(tmdbId, config.locale),
+    fetchTmdbMovieExternalIds(tmdbId),
+    fetchTmdbMovieCredits(tmdbId),
+  ]);
+  if (!movie) return null;
+  const imdbId = (externalIds && externalIds.imdb_id) || movie.imdb_id || null;
+  logger.info(`  meta sourced from TMDB movie (tmdbId: ${tmdbId}${imdbId ? ', imdbId: ' + imdbId : ''})`);
+  const meta = buildMetaFromTmdbMovie(movie, id, imdbId, credits);
+  const anilistMedia = anilistId ? await fetchAnilistStatus(anilistId) : null;
+  applyConfigToTmdbMeta(meta, anilistMedia, config);
+  return addAnilistLinks(meta, anilistMedia, config);
+}
+
+/**
+ * Build a series meta (with episodes) from TMDB. Returns null if TMDB has no such show.
+ * When `mapping` is given, only the episodes of that AniList entry's season / cour are kept.
+ * Shows still in production get AniList's next airing episode added.
+ */
+async function fetchTmdbSeriesMeta(tmdbId, id, requestedType, anilistId, mapping, config) {
+  const [series, externalIds, aggregateCredits] = await Promise.all([
+    fetchTmdbSeries(tmdbId, config.locale),
+    fetchTmdbExternalIds(tmdbId),
+    fetchTmdbAggregateCredits(tmdbId),
+  ]);
+  if (!series) return null;
+  const imdbId  = (externalIds && externalIds.imdb_id) || null;
+  const allEpisodes = await fetchTmdbAllEpisodes(tmdbId, series.number_of_seasons || 1, config.locale);
+  const episodes = sliceEpisodesForMapping(allEpisodes, mapping);
+  const anilistMedia = anilistId ? await fetchAnilistStatus(anilistId) : null;
+  const nextAiring = (series.in_production && anilistMedia && anilistMedia.nextAiringEpisode) || null;
+  logger.info(`  meta sourced from TMDB (tmdbId: ${tmdbId}${imdbId ? ', imdbId: ' + imdbId : ''}${episodes !== allEpisodes ? `, ${episodes.length}/${allEpisodes.length} episodes` : ''})`);
+  const airingMapping = mapping || (anilistId && getTmdbMapping(anilistId));
+  const meta = buildMetaFromTmdb(series, episodes, id, imdbId, aggregateCredits, requestedType, nextAiring, airingMapping);
+  applyConfigToTmdbMeta(meta, anilistMedia, config);
+  return addAnilistLinks(meta, anilistMedia, config);
+}
 
 /**
  * Build the richest possible meta for a stremioId:
@@ -18,58 +246,73 @@ const META_TTL = 24 * 60 * 60; // 24 hours
  *   2. Fall back to AniList + Kitsu episodes
  *   3. Fall back to AniList only
  */
-async function fetchMeta(id, requestedType) {
-  const cacheKey = `meta:${requestedType || 'series'}:${id}`;
+async function fetchMeta(id, requestedType, config = DEFAULT_CONFIG) {
+  const cacheKey = `meta:${configCacheKey(config)}:${requestedType || 'series'}:${id}`;
 
   // --- Resolve anilistId and kitsuNumericId from the incoming ID ---
   let anilistId      = null;
   let kitsuNumericId = null;
   let tmdbId = null;
+  let tmdbType = 'tv';
+  // Season / cour slice for entry-specific IDs; tmdb: IDs always mean the whole show
+  let entryMapping = null;
 
   if (id.startsWith('tmdb:')) {
-    const m = id.match(/^tmdb:(\d+)$/);
+    const m = id.match(/^tmdb:(?:(movie):)?(\d+)$/);
     if (!m) return null;
-    tmdbId         = parseInt(m[1], 10);
-    anilistId      = getAnilistIdFromTmdb(tmdbId);
+    tmdbId         = parseInt(m[2], 10);
+    if (m[1]) {
+      tmdbType  = 'movie';
+      anilistId = getAnilistIdFromTmdb(tmdbId, 'movie');
+    } else {
+      ({ tmdbType, anilistId } = resolveTmdbNamespace(tmdbId, requestedType));
+    }
     kitsuNumericId = anilistId ? getKitsuId(anilistId) : null;
   } else if (id.startsWith('kitsu:')) {
     kitsuNumericId = id.slice('kitsu:'.length);
     anilistId      = getAnilistId(kitsuNumericId);
-    tmdbId         = anilistId ? getTmdbId(anilistId) : null;
   } else if (id.startsWith('anilist:')) {
     const m = id.match(/^anilist:(\d+)$/);
     if (!m) return null;
     anilistId      = parseInt(m[1], 10);
     kitsuNumericId = getKitsuId(anilistId);
-    tmdbId         = getTmdbId(anilistId);
   } else {
     return null;
   }
 
-  return memCache.getOrFetch(cacheKey, META_TTL, async () => {
+  if (!tmdbId && anilistId) {
+    const mapping = getTmdbMapping(anilistId);
+    if (mapping) {
+      ({ tmdbId, tmdbType } = mapping);
+      entryMapping = mapping;
+    }
+  }
+
+  const ttlFor = result => (result ? result.cacheMaxAge || META_TTL : NULL_META_TTL);
+
+  // Responses carry their own staleRevalidate / staleError windows. AniList
+  // failures throw so the last good meta keeps being served; so do TMDB
+  // failures when there is a previous meta — an AniList-only fallback has
+  // different episodes and video IDs and shouldn't replace it.
+  return memCache.getOrFetch(cacheKey, ttlFor, async previous => {
     logger.info(`meta cache miss: ${cacheKey}`);
 
+    let tmdbFailed = false;
     if (tmdbId && process.env.TMDB_API_KEY) {
       try {
-        const [series, externalIds, aggregateCredits] = await Promise.all([
-          fetchTmdbSeries(tmdbId),
-          fetchTmdbExternalIds(tmdbId),
-          fetchTmdbAggregateCredits(tmdbId),
-        ]);
-        if (series) {
-          const imdbId  = (externalIds && externalIds.imdb_id) || null;
-          const episodes = await fetchTmdbAllEpisodes(tmdbId, series.number_of_seasons || 1);
-          const meta = buildMetaFromTmdb(series, episodes, id, imdbId, aggregateCredits, requestedType);
-          logger.info(`  meta sourced from TMDB (tmdbId: ${tmdbId}${imdbId ? ', imdbId: ' + imdbId : ''})`);
-          return { meta, cacheMaxAge: META_TTL, staleRevalidate: META_TTL * 2, staleError: 86400 };
-        }
+        const meta = tmdbType === 'movie'
+          ? await fetchTmdbMovieMeta(tmdbId, id, anilistId, config)
+          : await fetchTmdbSeriesMeta(tmdbId, id, requestedType, anilistId, entryMapping, config);
+        if (meta) return metaResponse(meta);
       } catch (err) {
+        if (previous) throw err;
         logger.warn(`  TMDB meta failed for ${id}: ${err.message} — falling back`);
+        tmdbFailed = true;
       }
     }
 
     if (!anilistId) {
-      logger.warn(`metaHandler: could not resolve anilistId for ${id}`);
+      logger.warn(`could not resolve anilistId for ${id}`);
       return null;
     }
 
@@ -77,36 +320,41 @@ async function fetchMeta(id, requestedType) {
     try {
       media = await queryMedia(MEDIA_BY_ID_QUERY, { id: anilistId });
     } catch (err) {
-      logger.error(`metaHandler: AniList query failed for ${id}:`, err.message);
-      return null;
+      logger.error(`AniList query failed for ${id}:`, err.message);
+      throw err;
     }
     if (!media) return null;
 
-    const meta = buildFullMeta(media, id, requestedType);
+    const meta = buildFullMeta(media, id, requestedType, config);
+    addAnilistLinks(meta, media, config);
 
     if (kitsuNumericId && meta.type === 'series') {
       try {
         const episodes = await fetchKitsuEpisodes(kitsuNumericId);
         if (episodes.length > 0) {
-          meta.videos = buildVideosFromKitsuEpisodes(episodes, id);
+          meta.videos = buildVideosFromKitsuEpisodes(episodes, id, config.titleLanguage);
+          addNextAiringVideo(meta, media.nextAiringEpisode, id);
         }
       } catch (err) {
-        logger.warn(`metaHandler: Kitsu episodes failed for ${id}:`, err.message);
+        logger.warn(`Kitsu episodes failed for ${id}:`, err.message);
       }
     }
 
-    return { meta, cacheMaxAge: META_TTL, staleRevalidate: META_TTL * 2, staleError: 86400 };
-  });
+    return metaResponse(meta, tmdbFailed ? FALLBACK_META_TTL : META_TTL);
+  }, response => response);
 }
 
 function defineMetaHandler(builder) {
-  builder.defineMetaHandler(async ({ type, id }) => {
+  builder.defineMetaHandler(async ({ type, id, config }) => {
     if (!id.startsWith('tmdb:') && !id.startsWith('kitsu:') && !id.startsWith('anilist:')) return null;
+    const done = handlerDuration.startTimer({ type: KNOWN_TYPES.has(type) ? type : 'unknown' });
     try {
-      const result = await fetchMeta(id, type);
+      const result = await fetchMeta(id, type, normalizeConfig(config));
+      done({ outcome: result ? 'ok' : 'not_found' });
       return result || { meta: null };
     } catch (err) {
       logger.error(`metaHandler error [${id}]:`, err.message);
+      done({ outcome: 'error' });
       return { meta: null };
     }
   });
@@ -0,0 +1,250 @@
+'use strict';
+
+const crypto = require('crypto');
+const manifest = require('../manifest');
+
+// Option lists live on the manifest's `config` entries so the SDK and the
+// configure page agree on them
+function optionsFor(key) {
+  const entry = (manifest.config || []).find(c => c.key === key);
+  return (entry && entry.options) || [];
+}
+
+const TITLE_LANGUAGES = optionsFor('titleLanguage');
+// TMDB locales for overviews and episode names
+const LOCALES         = optionsFor('locale');
+// auto = TMDB score on TMDB-sourced meta, AniList score everywhere else
+const RATING_SOURCES  = optionsFor('ratingSource');
+// off, one tile per show (shared Stremio / TMDB ID), or one per franchise
+const COLLAPSE_MODES  = optionsFor('collapseSeasons');
+
+// Public base URL, for deep links back into this addon (Render sets RENDER_EXTERNAL_URL)
+const ADDON_URL = (process.env.ADDON_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '');
+
+const DEFAULT_CONFIG = Object.freeze({
+  catalogs: null,            // null → every catalog, in manifest order
+  titleLanguage: 'english',
+  locale: 'en-US',
+  ratingSource: 'auto',
+  collapseSeasons: 'off',
+  adult: false,
+  blockGenres: Object.freeze([]),  // content policy — hidden from every catalog
+  blockTags: Object.freeze([])
+});
+
+// ─── Shared with the configure page ──────────────────────────────────────────
+// toNameList, formConfig and encodeConfigSegment also run in the configure
+// page's script (injected with Function#toString), so the URL the page
+// installs and manifestUrl() come from the same code. They may only use each
+// other and their arguments.
+
+/**
+ * Accept an array or a comma-separated list; trims, drops empties and
+ * case-insensitive duplicates.
+ */
+function toNameList(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const names = [];
+  for (const item of list) {
+    const name = String(item).trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * The config the configure page's form describes, in normalized form.
+ *
+ * @param {{ catalogs: string[], defaultOrder: string[], titleLanguage: string, locale: string,
+ *           ratingSource: string, collapseSeasons: string, adult: boolean,
+ *           blockGenres: string, blockTags: string }} form
+ *        catalogs: ticked IDs in list order; defaultOrder: every ID in manifest order
+ * @returns {object}
+ */
+function formConfig(form) {
+  // Every catalog in the default order is the default config, which also
+  // picks up catalogs added later; any other selection pins the list
+  const isDefault = form.catalogs.join(',') === form.defaultOrder.join(',');
+  return {
+    catalogs: form.catalogs.length && !isDefault ? form.catalogs : null,
+    titleLanguage: form.titleLanguage,
+    locale: form.locale,
+    ratingSource: form.ratingSource,
+    collapseSeasons: form.collapseSeasons,
+    adult: !!form.adult,
+    // Split like normalizeConfig does, so the payload is already normalized
+    blockGenres: toNameList(form.blockGenres),
+    blockTags: toNameList(form.blockTags)
+  };
+}
+
+/**
+ * Path segment for an install URL: the settings that differ from `defaults`,
+ * in the defaults' key order, as percent-encoded JSON. Matches the SDK's
+ * `/:config/manifest.json` format.
+ *
+ * @param {object} config - normalized config
+ * @param {object} defaults - DEFAULT_CONFIG
+ * @returns {string}
+ */
+function encodeConfigSegment(config, defaults) {
+  const compact = {};
+  for (const key of Object.keys(defaults)) {
+    const value = config[key];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) ? value.length === 0 : value === defaults[key]) continue;
+    compact[key] = value;
+  }
+  return encodeURIComponent(JSON.stringify(compact));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Turn whatever arrived in the install URL into a complete, valid config.
+ * The SDK hands us the parsed JSON from `/:config/...`, or false/undefined
+ * when there is none (or it failed to parse). Unknown values fall back to
+ * the defaults so a stale or hand-edited URL never breaks a request.
+ *
+ * @param {object|false|undefined} raw
+ * @returns {{ catalogs: string[]|null, titleLanguage: string, locale: string, ratingSource: string,
+ *             collapseSeasons: string, adult: boolean, blockGenres: string[], blockTags: string[] }}
+ */
+function normalizeConfig(raw) {
+  if (!raw || typeof raw !== 'object') return DEFAULT_CONFIG;
+
+  const knownIds = new Set(manifest.catalogs.map(c => c.id));
+  let catalogs = toNameList(raw.catalogs).filter(id => knownIds.has(id));
+  if (catalogs.length === 0) catalogs = null;
+
+  return {
+    catalogs,
+    titleLanguage: TITLE_LANGUAGES.includes(raw.titleLanguage) ? raw.titleLanguage : DEFAULT_CONFIG.titleLanguage,
+    locale:        LOCALES.includes(raw.locale) ? raw.locale : DEFAULT_CONFIG.locale,
+    ratingSource:  RATING_SOURCES.includes(raw.ratingSource) ? raw.ratingSource : DEFAULT_CONFIG.ratingSource,
+    collapseSeasons: COLLAPSE_MODES.includes(raw.collapseSeasons) ? raw.collapseSeasons : DEFAULT_CONFIG.collapseSeasons,
+    adult:         raw.adult === true || raw.adult === 'true' || raw.adult === 'on',
+    blockGenres:   toNameList(raw.blockGenres),
+    blockTags:     toNameList(raw.blockTags)
+  };
+}
+
+/**
+ * Cache key segment for the settings that change response content.
+ * Catalog selection and order only affect the manifest, so they are left out
+ * and installs that differ only in layout share cache entries. Season
+ * collapsing only changes the ranked catalogs, which add it to their own key.
+ * Blocklists can be long, so they go in as a short hash.
+ *
+ * @param {object} config - normalized config
+ * @returns {string}
+ */
+function configCacheKey(config) {
+  const base = `${config.titleLanguage}.${config.locale}.${config.ratingSource}.${config.adult ? 'adult' : 'sfw'}`;
+  if (config.blockGenres.length === 0 && config.blockTags.length === 0) return base;
+
+  const blocked = [
+    config.blockGenres.map(g => g.toLowerCase()).sort().join(','),
+    config.blockTags.map(t => t.toLowerCase()).sort().join(',')
+  ].join('|');
+  return `${base}.${crypto.createHash('sha1').update(blocked).digest('hex').slice(0, 10)}`;
+}
+
+/**
+ * Path segment for an install URL — only non-default settings are kept so
+ * the URL stays short.
+ *
+ * @param {object} config - normalized config
+ * @returns {string}
+ */
+function encodeConfig(config) {
+  return encodeConfigSegment(config, DEFAULT_CONFIG);
+}
+
+/**
+ * Path of an install's manifest, exactly as the configure page installs it —
+ * default installs included (`/%7B%7D/manifest.json`), since Stremio
+ * identifies an addon by its transport URL.
+ *
+ * @param {object} config - normalized config
+ * @returns {string}
+ */
+function installPath(config) {
+  return `/${encodeConfig(config)}/manifest.json`;
+}
+
+/**
+ * Public manifest URL for an install, or null when the addon doesn't know
+ * its own address.
+ *
+ * @param {object} config - normalized config
+ * @returns {string|null}
+ */
+function manifestUrl(config) {
+  return ADDON_URL ? `${ADDON_URL}${installPath(config)}` : null;
+}
+
+/**
+ * Whether the install shows a catalog.
+ *
+ * @param {object} config - normalized config
+ * @param {string} catalogId
+ * @returns {boolean}
+ */
+function hasCatalog(config, catalogId) {
+  return !config.catalogs || config.catalogs.includes(catalogId);
+}
+
+/**
+ * Parse a raw `:config` path segment (as Express hands it over, already
+ * percent-decoded).
+ *
+ * @param {string} segment
+ * @returns {object} normalized config
+ */
+function decodeConfig(segment) {
+  try {
+    return normalizeConfig(JSON.parse(segment));
+  } catch (err) {
+    return DEFAULT_CONFIG;
+  }
+}
+
+/**
+ * The manifest for one install: the user's catalogs in the user's order.
+ *
+ * @param {object} config - normalized config
+ * @returns {object}
+ */
+function buildConfiguredManifest(config) {
+  if (!config.catalogs) return manifest;
+
+  const catalogs = [];
+  for (const id of config.catalogs) {
+    catalogs.push(...manifest.catalogs.filter(c => c.id === id));
+  }
+  return { ...manifest, catalogs };
+}
+
+module.exports = {
+  TITLE_LANGUAGES,
+  LOCALES,
+  RATING_SOURCES,
+  COLLAPSE_MODES,
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  configCacheKey,
+  toNameList,
+  formConfig,
+  encodeConfigSegment,
+  encodeConfig,
+  installPath,
+  manifestUrl,
+  hasCatalog,
+  decodeConfig,
+  buildConfiguredManifest
+};
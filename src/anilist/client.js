@@ -1,19 +1,29 @@
 'use strict';
 
-const fetch = require('node-fetch');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('anilist');
 const sleep = require('../utils/sleep');
+const metrics = require('../utils/metrics');
+const { runWithRequestId, currentRequestId } = require('../utils/requestContext');
+const fetch = metrics.instrumentFetch('anilist', require('node-fetch'));
 
 const ANILIST_API = 'https://graphql.anilist.co';
 const PER_PAGE = 100;
+// What AniList actually returns per page, whatever perPage asks for
+const MAX_PER_PAGE = 50;
+// 1000 airings — well above a busy week
+const MAX_SCHEDULE_PAGES = 20;
 
 // Serial queue to avoid overwhelming AniList's rate limit (~90 req/min)
 const queue = [];
 let processing = false;
 
+metrics.gauge('anilist_queue_depth', 'AniList queries waiting in the serial queue.', () => queue.length);
+const rateLimitSleeps = metrics.counter('anilist_rate_limit_sleeps_total', 'Sleeps forced by AniList rate limiting (429 = rejected, low_remaining = proactive).');
+const rateLimitSleepSeconds = metrics.counter('anilist_rate_limit_sleep_seconds_total', 'Seconds spent sleeping for AniList rate limits.');
+
 function enqueue(query, variables) {
   return new Promise((resolve, reject) => {
-    queue.push({ query, variables, resolve, reject });
+    queue.push({ query, variables, resolve, reject, requestId: currentRequestId(), queuedAt: Date.now() });
     if (!processing) processQueue();
   });
 }
@@ -21,9 +31,14 @@ function enqueue(query, variables) {
 async function processQueue() {
   processing = true;
   while (queue.length > 0) {
-    const { query, variables, resolve, reject } = queue.shift();
+    const { query, variables, resolve, reject, requestId, queuedAt } = queue.shift();
+    // The drain loop runs in the context of whichever request started it;
+    // each query is logged under the request that queued it instead
     try {
-      const result = await executeQuery(query, variables);
+      const result = await runWithRequestId(requestId, () => {
+        logger.debug(`AniList query dequeued after ${Date.now() - queuedAt}ms (${queue.length} still waiting)`);
+        return executeQuery(query, variables);
+      });
       resolve(result);
     } catch (err) {
       reject(err);
@@ -59,6 +74,8 @@ async function executeQuery(query, variables) {
     if (res.status === 429) {
       const retryAfter = Math.max(60, parseInt(res.headers.get('retry-after') || '60', 10));
       logger.warn(`AniList rate limited. Waiting ${retryAfter}s (attempt ${attempt}/3)`);
+      rateLimitSleeps.inc({ reason: '429' });
+      rateLimitSleepSeconds.inc({ reason: '429' }, retryAfter);
       await sleep(retryAfter * 1000);
       continue;
     }
@@ -89,6 +106,8 @@ async function executeQuery(query, variables) {
     if (!isNaN(remaining) && remaining < 10 && !isNaN(resetAt)) {
       const waitMs = Math.max(0, resetAt * 1000 - Date.now()) + 500;
       logger.debug(`AniList rate limit low (${remaining} left). Sleeping ${Math.round(waitMs / 1000)}s until reset`);
+      rateLimitSleeps.inc({ reason: 'low_remaining' });
+      rateLimitSleepSeconds.inc({ reason: 'low_remaining' }, waitMs / 1000);
       await sleep(waitMs);
     }
 
@@ -129,12 +148,107 @@ async function queryMedia(query, variables = {}) {
 }
 
 /**
- * Query an airing schedule endpoint and return the airingSchedules array.
+ * Query an airing schedule endpoint and return every airingSchedules entry
+ * in the window, following hasNextPage (up to MAX_SCHEDULE_PAGES pages) —
+ * a single page stops after 50 airings, a day or two into a busy week.
  */
 async function queryAiringSchedule(query, variables = {}) {
+  const schedules = [];
+  for (let page = 1; page <= MAX_SCHEDULE_PAGES; page++) {
+    const data = await anilistQuery(query, { ...variables, page, perPage: MAX_PER_PAGE });
+    const pageData = data.Page || {};
+    schedules.push(...(pageData.airingSchedules || []));
+    if (!pageData.pageInfo || !pageData.pageInfo.hasNextPage) break;
+  }
+  return schedules;
+}
+
+/**
+ * Query a user's MediaListCollection and return a flat entry array, most
+ * recently updated first. Custom lists repeat entries, so only the
+ * status lists are kept.
+ */
+async function queryMediaListCollection(query, variables = {}) {
+  const data = await anilistQuery(query, variables);
+  const collection = data.MediaListCollection;
+  const lists = (collection && collection.lists) || [];
+
+  const entries = [];
+  for (const list of lists) {
+    if (list.isCustomList) continue;
+    entries.push(...(list.entries || []));
+  }
+  return entries.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Query one page of a media's recommendations and return the recommended
+ * media, highest rated first. Recommendations with no positive votes and
+ * ones pointing at deleted entries are dropped.
+ */
+async function queryRecommendations(query, variables = {}) {
+  const vars = Object.assign({ perPage: PER_PAGE }, variables);
+  const data = await anilistQuery(query, vars);
+  const nodes = (data.Media && data.Media.recommendations && data.Media.recommendations.nodes) || [];
+
+  return nodes
+    .filter(n => n.mediaRecommendation && n.mediaRecommendation.type === 'ANIME' && n.rating > 0)
+    .sort((a, b) => b.rating - a.rating)
+    .map(n => n.mediaRecommendation);
+}
+
+/**
+ * Query a studio's media connection and return its anime (studios are
+ * credited on the odd manga adaptation too).
+ */
+async function queryStudioMedia(query, variables = {}) {
+  const vars = Object.assign({ perPage: PER_PAGE }, variables);
+  const data = await anilistQuery(query, vars);
+  const nodes = (data.Studio && data.Studio.media && data.Studio.media.nodes) || [];
+  return nodes.filter(media => media.type === 'ANIME');
+}
+
+function startDateKey(media) {
+  const d = media.startDate || {};
+  return (d.year || 0) * 10000 + (d.month || 0) * 100 + (d.day || 0);
+}
+
+// Re-sorts the merged staff connections the same way AniList sorted each one
+const MEDIA_SORTS = {
+  POPULARITY_DESC: (a, b) => (b.popularity || 0) - (a.popularity || 0),
+  START_DATE_DESC: (a, b) => startDateKey(b) - startDateKey(a)
+};
+
+/**
+ * Query a staff member's voice roles and production roles and return one
+ * deduplicated anime list, in the requested sort order.
+ */
+async function queryStaffMedia(query, variables = {}) {
   const vars = Object.assign({ perPage: PER_PAGE }, variables);
   const data = await anilistQuery(query, vars);
-  return (data.Page && data.Page.airingSchedules) || [];
+  const staff = data.Staff;
+  if (!staff) return [];
+
+  const seen = new Set();
+  const media = [];
+  for (const connection of [staff.characterMedia, staff.staffMedia]) {
+    for (const node of (connection && connection.nodes) || []) {
+      if (node.type !== 'ANIME' || seen.has(node.id)) continue;
+      seen.add(node.id);
+      media.push(node);
+    }
+  }
+  const compare = MEDIA_SORTS[(vars.sort || [])[0]] || MEDIA_SORTS.POPULARITY_DESC;
+  return media.sort(compare);
 }
 
-module.exports = { anilistQuery, queryPage, queryMedia, queryAiringSchedule };
+module.exports = {
+  anilistQuery,
+  queryPage,
+  queryMedia,
+  queryAiringSchedule,
+  queryMediaListCollection,
+  queryRecommendations,
+  queryStudioMedia,
+  queryStaffMedia
+};
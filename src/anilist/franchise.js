@@ -0,0 +1,189 @@
+'use strict';
+
+const { queryPage } = require('./client');
+const { FRANCHISE_QUERY } = require('./queries');
+const { getTmdbMapping } = require('../mapping/fribbDb');
+const memCache = require('../cache/memCache');
+const logger = require('../utils/logger').child('franchise');
+
+// Relations that stay inside one story. Spin-offs, summaries and character
+// crossovers would pull in half of AniList for the big franchises.
+const FOLLOWED_RELATIONS = new Set(['PREQUEL', 'SEQUEL', 'SIDE_STORY', 'ALTERNATIVE']);
+// Relations that chain the seasons of one show, for collapsing catalogs
+const SEASON_RELATIONS = new Set(['PREQUEL', 'SEQUEL']);
+
+const BATCH_SIZE     = 50;        // media per AniList request (id_in)
+const MAX_NODES      = 300;       // safety cap for pathological graphs
+const FRANCHISE_TTL  = 24 * 60 * 60; // 24 hours
+
+function releaseKey(media) {
+  const d = media.startDate || {};
+  // Unknown dates (announced titles) sort last
+  if (!d.year) return Number.MAX_SAFE_INTEGER;
+  return d.year * 10000 + (d.month || 12) * 100 + (d.day || 31);
+}
+
+function byRelease(a, b) {
+  return releaseKey(a) - releaseKey(b) || a.id - b.id;
+}
+
+/**
+ * Walk the relations graph breadth-first from one entry. Each BFS level is
+ * fetched in batches of up to 50 IDs, so a franchise costs a handful of
+ * requests instead of one per entry.
+ *
+ * @param {number} anilistId
+ * @returns {Promise<object[]>} every anime in the franchise, each with its relation edges
+ */
+async function walkFranchise(anilistId) {
+  const nodes = new Map();
+  const queued = new Set([anilistId]);
+  let frontier = [anilistId];
+
+  while (frontier.length > 0 && nodes.size < MAX_NODES) {
+    const next = [];
+    for (let i = 0; i < frontier.length; i += BATCH_SIZE) {
+      const ids = frontier.slice(i, i + BATCH_SIZE);
+      const pageData = await queryPage(FRANCHISE_QUERY, { ids, perPage: BATCH_SIZE });
+      for (const media of (pageData && pageData.media) || []) {
+        nodes.set(media.id, media);
+        for (const edge of (media.relations && media.relations.edges) || []) {
+          if (!FOLLOWED_RELATIONS.has(edge.relationType)) continue;
+          if (!edge.node || edge.node.type !== 'ANIME' || queued.has(edge.node.id)) continue;
+          queued.add(edge.node.id);
+          next.push(edge.node.id);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  if (frontier.length > 0) {
+    logger.warn(`anilist:${anilistId} stopped at ${nodes.size} entries`);
+  }
+  return [...nodes.values()];
+}
+
+/**
+ * The whole franchise an entry belongs to, cached. The result is stored
+ * under every member's ID, so opening another entry of the same franchise
+ * costs no AniList requests at all.
+ *
+ * @param {number} anilistId
+ * @returns {Promise<object[]>} franchise members in release order
+ */
+async function fetchFranchise(anilistId) {
+  return memCache.getOrFetch(`franchise:${anilistId}`, FRANCHISE_TTL, async () => {
+    logger.info(`franchise cache miss: anilist:${anilistId} — walking relations`);
+    const members = (await walkFranchise(anilistId)).sort(byRelease);
+    for (const media of members) {
+      if (media.id !== anilistId) memCache.set(`franchise:${media.id}`, members, FRANCHISE_TTL);
+    }
+    return members;
+  });
+}
+
+/**
+ * Chronological watch order: a prequel comes before its sequel and a side
+ * story after the entry it branches from. Anything the edges don't decide
+ * (alternative versions, unrelated branches) falls back to release order,
+ * and so do cycles in AniList's data.
+ *
+ * @param {object[]} members - from fetchFranchise()
+ * @returns {object[]}
+ */
+function watchOrder(members) {
+  const byId = new Map(members.map(m => [m.id, m]));
+  const after = new Map(members.map(m => [m.id, new Set()])); // id → entries that must come later
+  const inDegree = new Map(members.map(m => [m.id, 0]));
+
+  function addEdge(first, then) {
+    if (!byId.has(first) || !byId.has(then) || first === then) return;
+    if (after.get(first).has(then)) return;
+    after.get(first).add(then);
+    inDegree.set(then, inDegree.get(then) + 1);
+  }
+
+  for (const media of members) {
+    for (const edge of (media.relations && media.relations.edges) || []) {
+      if (!edge.node) continue;
+      if (edge.relationType === 'SEQUEL' || edge.relationType === 'SIDE_STORY') addEdge(media.id, edge.node.id);
+      if (edge.relationType === 'PREQUEL') addEdge(edge.node.id, media.id);
+    }
+  }
+
+  const ordered = [];
+  const remaining = new Set(byId.keys());
+  while (remaining.size > 0) {
+    const candidates = [...remaining].map(id => byId.get(id));
+    const ready = candidates.filter(m => inDegree.get(m.id) === 0);
+    // A cycle leaves nothing ready — break it at the earliest release
+    const pick = (ready.length > 0 ? ready : candidates).sort(byRelease)[0];
+
+    ordered.push(pick);
+    remaining.delete(pick.id);
+    for (const id of after.get(pick.id)) inDegree.set(id, inDegree.get(id) - 1);
+  }
+  return ordered;
+}
+
+/**
+ * Collapse a ranked list so each show appears once, at the position of its
+ * best-ranked entry.
+ *
+ *   'show'      → entries sharing a Stremio ID or a TMDB show
+ *   'franchise' → also entries chained by prequel / sequel edges within the
+ *                 list, and entries of an already walked franchise
+ *
+ * Shared TMDB shows count as one show even though resolveStremioId gives
+ * their seasons entry-specific IDs.
+ *
+ * @param {object[]} mediaList - best first, with relation edges
+ * @param {'show'|'franchise'} mode
+ * @param {Map<number, string>} stremioIds - resolved ID per AniList ID
+ * @returns {Array<{ media: object, count: number }>} one per group, best first
+ */
+function collapseSeasons(mediaList, mode, stremioIds) {
+  const unique = [...new Map(mediaList.map(m => [m.id, m])).values()];
+  const parent = new Map(unique.map(m => [m.id, m.id]));
+
+  function find(id) {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  }
+  function union(a, b) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  }
+
+  const owners = new Map(); // grouping key → first AniList ID seen with it
+  function join(key, id) {
+    if (owners.has(key)) union(owners.get(key), id);
+    else owners.set(key, id);
+  }
+
+  for (const media of unique) {
+    if (stremioIds.has(media.id)) join(`id:${stremioIds.get(media.id)}`, media.id);
+    const tmdb = getTmdbMapping(media.id);
+    if (tmdb && tmdb.tmdbType === 'tv') join(`tmdb:${tmdb.tmdbId}`, media.id);
+    if (mode !== 'franchise') continue;
+
+    const members = memCache.get(`franchise:${media.id}`);
+    if (members && members.length > 0) join(`franchise:${members[0].id}`, media.id);
+    for (const edge of (media.relations && media.relations.edges) || []) {
+      if (!edge.node || !SEASON_RELATIONS.has(edge.relationType)) continue;
+      if (parent.has(edge.node.id)) union(media.id, edge.node.id);
+    }
+  }
+
+  const groups = new Map();
+  for (const media of unique) {
+    const root = find(media.id);
+    if (groups.has(root)) groups.get(root).count++;
+    else groups.set(root, { media, count: 1 });
+  }
+  return [...groups.values()];
+}
+
+module.exports = { fetchFranchise, watchOrder, collapseSeasons, FRANCHISE_TTL };
@@ -24,6 +24,7 @@ const MEDIA_FIELDS = `
   popularity
   studios(isMain: true) {
     nodes {
+      id
       name
       siteUrl
     }
@@ -43,16 +44,127 @@ const MEDIA_FIELDS = `
     month
     day
   }
+  nextAiringEpisode {
+    episode
+    airingAt
+  }
+  isAdult
+  tags {
+    name
+    rank
+    isAdult
+    isGeneralSpoiler
+    isMediaSpoiler
+  }
+`;
+
+// Prequel / sequel edges for grouping seasons in catalogs. Only the collapsed
+// catalog pages ask for them (see withSeasonRelations) — they add to every
+// entry's query cost.
+const SEASON_RELATION_FIELDS = `
+  relations {
+    edges {
+      relationType(version: 2)
+      node {
+        id
+      }
+    }
+  }
+`;
+
+// What the content policy needs to judge a related entry
+const POLICY_FIELDS = `
+  isAdult
+  genres
+  tags {
+    name
+  }
+`;
+
+// Franchise relations and community recommendations, for meta links
+const RELATION_FIELDS = `
+  relations {
+    edges {
+      relationType(version: 2)
+      node {
+        id
+        type
+        format
+        title {
+          romaji
+          english
+          native
+        }
+        ${POLICY_FIELDS}
+      }
+    }
+  }
+  recommendations(sort: RATING_DESC, perPage: 10) {
+    nodes {
+      rating
+      mediaRecommendation {
+        id
+        type
+        format
+        title {
+          romaji
+          english
+          native
+        }
+        ${POLICY_FIELDS}
+      }
+    }
+  }
+`;
+
+const STAFF_NAME_FIELDS = `
+  id
+  name {
+    full
+    native
+  }
+  siteUrl
+`;
+
+// Main characters with their Japanese and English voice actors, and the
+// staff list (filtered down to key roles in anilistToMeta)
+const CREDIT_FIELDS = `
+  characters(sort: [ROLE, RELEVANCE], perPage: 12) {
+    edges {
+      role
+      node {
+        id
+        name {
+          full
+          native
+        }
+      }
+      japanese: voiceActors(language: JAPANESE) {
+        ${STAFF_NAME_FIELDS}
+      }
+      english: voiceActors(language: ENGLISH) {
+        ${STAFF_NAME_FIELDS}
+      }
+    }
+  }
+  staff(sort: [RELEVANCE], perPage: 25) {
+    edges {
+      role
+      node {
+        ${STAFF_NAME_FIELDS}
+      }
+    }
+  }
 `;
 
 const TRENDING_QUERY = `
-  query TrendingAnime($page: Int, $perPage: Int) {
+  query TrendingAnime($page: Int, $perPage: Int, $isAdult: Boolean = false) {
     Page(page: $page, perPage: $perPage) {
       pageInfo {
         hasNextPage
         total
       }
-      media(type: ANIME, isAdult: false, sort: TRENDING_DESC) {
+      media(type: ANIME, isAdult: $isAdult, sort: TRENDING_DESC) {
         ${MEDIA_FIELDS}
       }
     }
@@ -60,13 +172,13 @@ const TRENDING_QUERY = `
 `;
 
 const SEASON_QUERY = `
-  query SeasonAnime($page: Int, $perPage: Int, $season: MediaSeason, $seasonYear: Int) {
+  query SeasonAnime($page: Int, $perPage: Int, $isAdult: Boolean = false, $season: MediaSeason, $seasonYear: Int) {
     Page(page: $page, perPage: $perPage) {
       pageInfo {
         hasNextPage
         total
       }
-      media(type: ANIME, isAdult: false, sort: POPULARITY_DESC, season: $season, seasonYear: $seasonYear) {
+      media(type: ANIME, isAdult: $isAdult, sort: POPULARITY_DESC, season: $season, seasonYear: $seasonYear) {
         ${MEDIA_FIELDS}
       }
     }
@@ -74,13 +186,13 @@ const SEASON_QUERY = `
 `;
 
 const POPULAR_QUERY = `
-  query PopularAnime($page: Int, $perPage: Int) {
+  query PopularAnime($page: Int, $perPage: Int, $isAdult: Boolean = false) {
     Page(page: $page, perPage: $perPage) {
       pageInfo {
         hasNextPage
         total
       }
-      media(type: ANIME, isAdult: false, sort: POPULARITY_DESC) {
+      media(type: ANIME, isAdult: $isAdult, sort: POPULARITY_DESC) {
         ${MEDIA_FIELDS}
       }
     }
@@ -88,13 +200,28 @@ const POPULAR_QUERY = `
 `;
 
 const TOP_QUERY = `
-  query TopAnime($page: Int, $perPage: Int) {
+  query TopAnime($page: Int, $perPage: Int, $isAdult: Boolean = false) {
     Page(page: $page, perPage: $perPage) {
       pageInfo {
         hasNextPage
         total
       }
-      media(type: ANIME, isAdult: false, sort: SCORE_DESC) {
+      media(type: ANIME, isAdult: $isAdult, sort: SCORE_DESC) {
+        ${MEDIA_FIELDS}
+      }
+    }
+  }
+`;
+
+// High score, low popularity — popularity_greater keeps out scores resting on a handful of ratings
+const HIDDEN_GEMS_QUERY = `
+  query HiddenGems($page: Int, $perPage: Int, $isAdult: Boolean = false, $averageScore_greater: Int, $popularity_greater: Int, $popularity_lesser: Int) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo {
+        hasNextPage
+        total
+      }
+      media(type: ANIME, isAdult: $isAdult, format_not_in: [MUSIC], sort: [SCORE_DESC, POPULARITY_DESC], averageScore_greater: $averageScore_greater, popularity_greater: $popularity_greater, popularity_lesser: $popularity_lesser) {
         ${MEDIA_FIELDS}
       }
     }
@@ -102,19 +229,108 @@ const TOP_QUERY = `
 `;
 
 const ANIME_DISCOVER_QUERY = `
-  query AnimeDiscover($page: Int, $perPage: Int, $genre: String, $format: MediaFormat, $status: MediaStatus, $year: Int, $sort: [MediaSort] = [POPULARITY_DESC]) {
+  query AnimeDiscover($page: Int, $perPage: Int, $isAdult: Boolean = false, $genre: String, $format: MediaFormat, $status: MediaStatus, $year: Int, $sort: [MediaSort] = [POPULARITY_DESC], $averageScore_greater: Int, $popularity_greater: Int, $episodes_greater: Int, $episodes_lesser: Int, $countryOfOrigin: CountryCode) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo {
+        hasNextPage
+        total
+      }
+      media(type: ANIME, isAdult: $isAdult, sort: $sort, genre: $genre, format: $format, status: $status, seasonYear: $year, averageScore_greater: $averageScore_greater, popularity_greater: $popularity_greater, episodes_greater: $episodes_greater, episodes_lesser: $episodes_lesser, countryOfOrigin: $countryOfOrigin) {
+        ${MEDIA_FIELDS}
+      }
+    }
+  }
+`;
+
+// tag_in requires every listed tag; minimumTagRank drops weak matches
+const TAG_DISCOVER_QUERY = `
+  query TagDiscover($page: Int, $perPage: Int, $isAdult: Boolean = false, $tag_in: [String], $tag_not_in: [String], $genre_not_in: [String], $minimumTagRank: Int, $sort: [MediaSort] = [POPULARITY_DESC]) {
     Page(page: $page, perPage: $perPage) {
       pageInfo {
         hasNextPage
         total
       }
-      media(type: ANIME, isAdult: false, sort: $sort, genre: $genre, format: $format, status: $status, seasonYear: $year) {
+      media(type: ANIME, isAdult: $isAdult, sort: $sort, tag_in: $tag_in, tag_not_in: $tag_not_in, genre_not_in: $genre_not_in, minimumTagRank: $minimumTagRank) {
         ${MEDIA_FIELDS}
       }
     }
   }
 `;
 
+const TAG_COLLECTION_QUERY = `
+  query TagCollection {
+    MediaTagCollection {
+      name
+      category
+      isAdult
+      isGeneralSpoiler
+    }
+  }
+`;
+
+// Main-studio credits of the most popular anime, for ranking studios by output
+const STUDIO_SAMPLE_QUERY = `
+  query StudioSample($page: Int, $perPage: Int) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo {
+        hasNextPage
+      }
+      media(type: ANIME, isAdult: false, sort: POPULARITY_DESC) {
+        studios(isMain: true) {
+          nodes {
+            id
+            name
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One studio's anime, by ID or (for studios outside the picker) by name
+const STUDIO_MEDIA_QUERY = `
+  query StudioMedia($id: Int, $search: String, $page: Int, $perPage: Int, $sort: [MediaSort] = [POPULARITY_DESC]) {
+    Studio(id: $id, search: $search) {
+      id
+      name
+      media(isMain: true, sort: $sort, page: $page, perPage: $perPage) {
+        pageInfo {
+          hasNextPage
+        }
+        nodes {
+          ${MEDIA_FIELDS}
+          type
+        }
+      }
+    }
+  }
+`;
+
+// Everything one person worked on: voice roles (characterMedia) and
+// production roles (staffMedia), by ID or by name
+const STAFF_MEDIA_QUERY = `
+  query StaffMedia($id: Int, $search: String, $page: Int, $perPage: Int, $sort: [MediaSort] = [POPULARITY_DESC]) {
+    Staff(id: $id, search: $search) {
+      id
+      name {
+        full
+      }
+      characterMedia(sort: $sort, page: $page, perPage: $perPage) {
+        nodes {
+          ${MEDIA_FIELDS}
+          type
+        }
+      }
+      staffMedia(type: ANIME, sort: $sort, page: $page, perPage: $perPage) {
+        nodes {
+          ${MEDIA_FIELDS}
+          type
+        }
+      }
+    }
+  }
+`;
+
 const RECENTLY_UPDATED_QUERY = `
   query RecentlyUpdated($page: Int, $perPage: Int, $airingAt_greater: Int, $airingAt_lesser: Int) {
     Page(page: $page, perPage: $perPage) {
@@ -127,7 +343,100 @@ const RECENTLY_UPDATED_QUERY = `
         airingAt
         media {
           ${MEDIA_FIELDS}
-          isAdult
+        }
+      }
+    }
+  }
+`;
+
+const AIRING_SCHEDULE_QUERY = `
+  query AiringSchedule($page: Int, $perPage: Int, $airingAt_greater: Int, $airingAt_lesser: Int) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo {
+        hasNextPage
+        total
+      }
+      airingSchedules(airingAt_greater: $airingAt_greater, airingAt_lesser: $airingAt_lesser, sort: TIME) {
+        episode
+        airingAt
+        media {
+          ${MEDIA_FIELDS}
+        }
+      }
+    }
+  }
+`;
+
+const USER_LIST_QUERY = `
+  query UserList($userName: String, $status: MediaListStatus) {
+    MediaListCollection(userName: $userName, type: ANIME, status: $status, sort: [UPDATED_TIME_DESC]) {
+      lists {
+        name
+        isCustomList
+        entries {
+          status
+          progress
+          updatedAt
+          media {
+            ${MEDIA_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+// AniList's search argument already matches romaji, English, native and synonym titles
+const SEARCH_QUERY = `
+  query SearchAnime($page: Int, $perPage: Int, $isAdult: Boolean = false, $search: String, $format_in: [MediaFormat], $format_not_in: [MediaFormat]) {
+    Page(page: $page, perPage: $perPage) {
+      pageInfo {
+        hasNextPage
+        total
+      }
+      media(type: ANIME, isAdult: $isAdult, search: $search, format_in: $format_in, format_not_in: $format_not_in, sort: [SEARCH_MATCH, POPULARITY_DESC]) {
+        ${MEDIA_FIELDS}
+      }
+    }
+  }
+`;
+
+// Community recommendations for one show, best rated first, for the More Like This catalog
+const RECOMMENDATIONS_QUERY = `
+  query Recommendations($id: Int, $page: Int, $perPage: Int) {
+    Media(id: $id, type: ANIME) {
+      id
+      recommendations(sort: RATING_DESC, page: $page, perPage: $perPage) {
+        pageInfo {
+          hasNextPage
+        }
+        nodes {
+          rating
+          mediaRecommendation {
+            ${MEDIA_FIELDS}
+            type
+          }
+        }
+      }
+    }
+  }
+`;
+
+// One BFS level of a franchise walk: full media fields plus the edges to follow
+const FRANCHISE_QUERY = `
+  query Franchise($ids: [Int], $perPage: Int) {
+    Page(perPage: $perPage) {
+      media(id_in: $ids, type: ANIME) {
+        ${MEDIA_FIELDS}
+        type
+        relations {
+          edges {
+            relationType(version: 2)
+            node {
+              id
+              type
+            }
+          }
         }
       }
     }
@@ -138,16 +447,81 @@ const MEDIA_BY_ID_QUERY = `
   query MediaById($id: Int) {
     Media(id: $id, type: ANIME) {
       ${MEDIA_FIELDS}
+      ${RELATION_FIELDS}
+      ${CREDIT_FIELDS}
+    }
+  }
+`;
+
+// Lightweight lookup for TMDB-sourced meta: AniList titles, score, airing info, studio, tags, relations and credits
+const MEDIA_STATUS_QUERY = `
+  query MediaStatus($id: Int) {
+    Media(id: $id, type: ANIME) {
+      id
+      title {
+        romaji
+        english
+        native
+      }
+      status
+      averageScore
+      nextAiringEpisode {
+        episode
+        airingAt
+      }
+      studios(isMain: true) {
+        nodes {
+          id
+          name
+          siteUrl
+        }
+      }
+      tags {
+        name
+        rank
+        isAdult
+        isGeneralSpoiler
+        isMediaSpoiler
+      }
+      ${RELATION_FIELDS}
+      ${CREDIT_FIELDS}
     }
   }
 `;
 
+const seasonRelationQueries = new Map();
+
+/**
+ * The same page query with SEASON_RELATION_FIELDS added to its media.
+ * @param {string} query - one built on MEDIA_FIELDS
+ * @returns {string}
+ */
+function withSeasonRelations(query) {
+  if (!seasonRelationQueries.has(query)) {
+    seasonRelationQueries.set(query, query.replace(MEDIA_FIELDS, MEDIA_FIELDS + SEASON_RELATION_FIELDS));
+  }
+  return seasonRelationQueries.get(query);
+}
+
 module.exports = {
+  withSeasonRelations,
   TRENDING_QUERY,
   SEASON_QUERY,
   POPULAR_QUERY,
   TOP_QUERY,
+  HIDDEN_GEMS_QUERY,
   ANIME_DISCOVER_QUERY,
+  TAG_DISCOVER_QUERY,
+  TAG_COLLECTION_QUERY,
+  STUDIO_SAMPLE_QUERY,
+  STUDIO_MEDIA_QUERY,
+  STAFF_MEDIA_QUERY,
   RECENTLY_UPDATED_QUERY,
-  MEDIA_BY_ID_QUERY
+  AIRING_SCHEDULE_QUERY,
+  USER_LIST_QUERY,
+  SEARCH_QUERY,
+  RECOMMENDATIONS_QUERY,
+  FRANCHISE_QUERY,
+  MEDIA_BY_ID_QUERY,
+  MEDIA_STATUS_QUERY
 };
@@ -0,0 +1,99 @@
+'use strict';
+
+const { queryPage } = require('./client');
+const { TRENDING_QUERY } = require('./queries');
+const memCache = require('../cache/memCache');
+const logger = require('../utils/logger').child('rising');
+
+const SNAPSHOT_PAGES    = 4;                   // × 50 trending anime
+const SNAPSHOT_INTERVAL = 6 * 60 * 60;         // 6 hours between snapshots
+const SNAPSHOT_TTL      = 4 * SNAPSHOT_INTERVAL; // outlives a few missed refreshes
+
+// Snapshots live in memCache so they go wherever the cache goes
+const CURRENT_KEY  = 'trending-snapshot:current';
+const PREVIOUS_KEY = 'trending-snapshot:previous';
+
+/**
+ * The top of AniList's trending chart, adult titles included — the content
+ * policy is applied per install when the catalog is served.
+ *
+ * @returns {Promise<object[]>} media in chart order
+ */
+async function fetchTrendingChart() {
+  const chart = [];
+  for (let page = 1; page <= SNAPSHOT_PAGES; page++) {
+    const pageData = await queryPage(TRENDING_QUERY, { page, perPage: 50, isAdult: null });
+    chart.push(...((pageData && pageData.media) || []));
+    if (!pageData || !pageData.pageInfo || !pageData.pageInfo.hasNextPage) break;
+  }
+  return chart;
+}
+
+/**
+ * Record the current chart. The snapshot it replaces becomes the baseline
+ * the Rising catalog compares against.
+ */
+async function takeSnapshot() {
+  const chart = await fetchTrendingChart();
+  if (chart.length === 0) return;
+
+  const current = memCache.get(CURRENT_KEY);
+  if (current) memCache.set(PREVIOUS_KEY, current, SNAPSHOT_TTL);
+  memCache.set(CURRENT_KEY, { takenAt: Date.now(), media: chart }, SNAPSHOT_TTL);
+
+  logger.info(`trending snapshot of ${chart.length} anime${current ? '' : ' (no baseline yet)'}`);
+}
+
+/**
+ * First snapshot at startup. A snapshot younger than the interval is kept,
+ * so a quick restart doesn't turn the baseline into a copy of the chart.
+ */
+async function initTrendingSnapshot() {
+  const current = memCache.get(CURRENT_KEY);
+  if (current && Date.now() - current.takenAt < SNAPSHOT_INTERVAL * 1000) return;
+  try {
+    await takeSnapshot();
+  } catch (err) {
+    logger.warn('initial trending snapshot failed:', err.message);
+  }
+}
+
+async function refreshTrendingSnapshot() {
+  try {
+    await takeSnapshot();
+  } catch (err) {
+    logger.error('snapshot refresh failed:', err.message);
+  }
+}
+
+/**
+ * Trending anime ordered by how many places they climbed since the previous
+ * snapshot. Newcomers to the chart count as climbing from just below it.
+ * Empty until two snapshots exist.
+ *
+ * @returns {Array<{ media: object, rank: number, climb: number }>}
+ */
+function getRisingMedia() {
+  const current = memCache.get(CURRENT_KEY);
+  const previous = memCache.get(PREVIOUS_KEY);
+  if (!current || !previous) return [];
+
+  const before = new Map(previous.media.map((media, i) => [media.id, i + 1]));
+  const belowChart = previous.media.length + 1;
+  return current.media
+    .map((media, i) => ({ media, rank: i + 1, climb: (before.get(media.id) || belowChart) - (i + 1) }))
+    .filter(entry => entry.climb > 0)
+    .sort((a, b) => b.climb - a.climb || a.rank - b.rank);
+}
+
+/**
+ * When the current snapshot was taken (0 before the first one), so cached
+ * Rising pages can be keyed to the snapshot they were computed from.
+ * @returns {number}
+ */
+function snapshotTime() {
+  const current = memCache.get(CURRENT_KEY);
+  return current ? current.takenAt : 0;
+}
+
+module.exports = { initTrendingSnapshot, refreshTrendingSnapshot, getRisingMedia, snapshotTime, SNAPSHOT_INTERVAL };
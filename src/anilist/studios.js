@@ -0,0 +1,79 @@
+'use strict';
+
+const { queryPage } = require('./client');
+const { STUDIO_SAMPLE_QUERY } = require('./queries');
+const { fitOptions, setExtraOptions } = require('../utils/manifestOptions');
+const logger = require('../utils/logger').child('studios');
+
+const SAMPLE_PAGES          = 6;   // × 50 most popular anime
+const MAX_STUDIO_OPTIONS    = 40;
+const STUDIO_OPTIONS_BUDGET = 800; // characters of manifest JSON
+
+// Studio name → AniList studio ID, for the studios in the picker
+const studioIds = new Map();
+
+/**
+ * Count main-studio credits across the most popular anime. AniList can't
+ * sort studios by output, and this also keeps one-off studios behind a
+ * single hit out of the picker.
+ *
+ * @returns {Promise<Array<{ id: number, name: string, count: number }>>} most prolific first
+ */
+async function sampleStudios() {
+  const counts = new Map();
+  for (let page = 1; page <= SAMPLE_PAGES; page++) {
+    const pageData = await queryPage(STUDIO_SAMPLE_QUERY, { page, perPage: 50 });
+    for (const media of (pageData && pageData.media) || []) {
+      for (const studio of (media.studios && media.studios.nodes) || []) {
+        const entry = counts.get(studio.id) || { id: studio.id, name: studio.name, count: 0 };
+        entry.count++;
+        counts.set(studio.id, entry);
+      }
+    }
+    if (!pageData || !pageData.pageInfo || !pageData.pageInfo.hasNextPage) break;
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+async function loadStudioList() {
+  const studios = (await sampleStudios()).slice(0, MAX_STUDIO_OPTIONS);
+  const names = fitOptions(studios.map(s => s.name), STUDIO_OPTIONS_BUDGET);
+
+  studioIds.clear();
+  for (const studio of studios) studioIds.set(studio.name, studio.id);
+  setExtraOptions('anilist-studio', 'studio', names);
+
+  logger.info(`picker lists ${names.length} studios`);
+}
+
+/**
+ * Load the studio list at startup, before the addon builder is created.
+ * On failure the fallback list from the manifest stays in place.
+ */
+async function initStudioList() {
+  try {
+    await loadStudioList();
+  } catch (err) {
+    logger.warn('could not sample AniList studios, using built-in studio list:', err.message);
+  }
+}
+
+async function refreshStudioList() {
+  try {
+    await loadStudioList();
+  } catch (err) {
+    logger.error('refresh failed:', err.message);
+  }
+}
+
+/**
+ * AniList studio ID for a picker name, or null when the studio is not in
+ * the sampled list (the catalog then searches by name).
+ * @param {string} name
+ * @returns {number|null}
+ */
+function getStudioId(name) {
+  return studioIds.get(name) || null;
+}
+
+module.exports = { initStudioList, refreshStudioList, getStudioId };
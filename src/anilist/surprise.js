@@ -0,0 +1,93 @@
+'use strict';
+
+const { queryPage } = require('./client');
+const { ANIME_DISCOVER_QUERY } = require('./queries');
+
+const PAGE_SIZE  = 50;   // AniList's perPage cap
+const DRAW_PAGES = 3;    // random pages drawn per day
+const PICK_COUNT = 100;  // one Stremio page
+const MAX_PAGES  = 100;  // past this the pool is mostly obscure entries
+
+// "Well-rated": 70+ average from at least 1k list entries. The ID tie-breaker
+// keeps page contents stable between requests.
+const SURPRISE_FILTERS = { averageScore_greater: 69, popularity_greater: 999, sort: ['POPULARITY_DESC', 'ID'] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The UTC date the picks are seeded with, e.g. "2024-05-01".
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function surpriseDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the picks reshuffle at midnight UTC.
+ * @param {number} [now] - ms timestamp
+ * @returns {number}
+ */
+function secondsUntilReshuffle(now = Date.now()) {
+  return Math.ceil((DAY_MS - (now % DAY_MS)) / 1000);
+}
+
+/**
+ * Deterministic PRNG for a string seed (FNV-1a hash into mulberry32).
+ * @param {string} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state ^= seed.charCodeAt(i);
+    state = Math.imul(state, 16777619);
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Fisher–Yates shuffle into a new array. */
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * The day's surprise picks: a few random pages of well-rated anime from the
+ * discover query's result space, drawn and shuffled with a seed made of the
+ * day and the genre. Every request and every static build on the same day
+ * gets the same list.
+ *
+ * @param {object} vars - discover variables (genre, isAdult); paging is set here
+ * @param {string} day  - from surpriseDay()
+ * @returns {Promise<object[]>} media, shuffled
+ */
+async function fetchSurprisePicks(vars, day) {
+  const random = seededRandom(`${day}:${vars.genre || ''}`);
+  const base = { ...vars, ...SURPRISE_FILTERS, perPage: PAGE_SIZE };
+
+  // Page 1 tells us how big the result space is
+  const first = await queryPage(ANIME_DISCOVER_QUERY, { ...base, page: 1 });
+  const total = (first && first.pageInfo && first.pageInfo.total) || 0;
+  const pageCount = Math.min(Math.ceil(total / PAGE_SIZE), MAX_PAGES);
+  if (pageCount === 0) return [];
+
+  const drawn = shuffle(Array.from({ length: pageCount }, (_, i) => i + 1), random).slice(0, DRAW_PAGES);
+  const pool = new Map();
+  for (const page of drawn.sort((a, b) => a - b)) {
+    const pageData = page === 1 ? first : await queryPage(ANIME_DISCOVER_QUERY, { ...base, page });
+    for (const media of (pageData && pageData.media) || []) pool.set(media.id, media);
+  }
+  return shuffle([...pool.values()], random).slice(0, PICK_COUNT);
+}
+
+module.exports = { fetchSurprisePicks, surpriseDay, secondsUntilReshuffle };
@@ -0,0 +1,82 @@
+'use strict';
+
+const { anilistQuery } = require('./client');
+const { TAG_COLLECTION_QUERY } = require('./queries');
+const { fitOptions, setExtraOptions } = require('../utils/manifestOptions');
+const logger = require('../utils/logger').child('tags');
+
+const TAG_OPTIONS_BUDGET = 1200; // characters of manifest JSON
+
+// Every tag AniList knows, by name — used to drop typos from URL-supplied lists
+const knownTags = new Set();
+
+/**
+ * Pick the tags offered in the manifest. Categories take turns (first tag of
+ * each category, then the second, …) until the budget is spent, so the
+ * picker covers themes, settings and cast types instead of running out
+ * halfway through the alphabet. Adult and spoiler tags are never offered.
+ *
+ * @param {Array<{ name: string, category: string, isAdult: boolean, isGeneralSpoiler: boolean }>} tags
+ * @returns {string[]} tag names, alphabetical
+ */
+function pickTagOptions(tags) {
+  const byCategory = new Map();
+  for (const tag of tags) {
+    if (tag.isAdult || tag.isGeneralSpoiler) continue;
+    if (!byCategory.has(tag.category)) byCategory.set(tag.category, []);
+    byCategory.get(tag.category).push(tag.name);
+  }
+  const queues = [...byCategory.values()].map(names => names.sort());
+
+  const interleaved = [];
+  for (let round = 0; queues.some(q => q.length > round); round++) {
+    for (const queue of queues) {
+      if (queue[round]) interleaved.push(queue[round]);
+    }
+  }
+  return fitOptions(interleaved, TAG_OPTIONS_BUDGET).sort();
+}
+
+async function loadTagCollection() {
+  const data = await anilistQuery(TAG_COLLECTION_QUERY);
+  const tags = (data && data.MediaTagCollection) || [];
+
+  knownTags.clear();
+  for (const tag of tags) knownTags.add(tag.name);
+  setExtraOptions('anilist-tags', 'tag', pickTagOptions(tags));
+
+  logger.info(`loaded ${tags.length} AniList tags`);
+}
+
+/**
+ * Load the tag list at startup. Must run before the addon builder is
+ * created so the first manifest already carries the live tag options; on
+ * failure the fallback list from the manifest stays in place.
+ */
+async function initTagCollection() {
+  try {
+    await loadTagCollection();
+  } catch (err) {
+    logger.warn('could not load MediaTagCollection, using built-in tag list:', err.message);
+  }
+}
+
+async function refreshTagCollection() {
+  try {
+    await loadTagCollection();
+  } catch (err) {
+    logger.error('refresh failed:', err.message);
+  }
+}
+
+/**
+ * Whether AniList has a tag by this name. Before the collection has loaded
+ * every name is accepted and AniList sorts it out.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isKnownTag(name) {
+  return knownTags.size === 0 || knownTags.has(name);
+}
+
+module.exports = { initTagCollection, refreshTagCollection, isKnownTag };
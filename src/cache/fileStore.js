@@ -0,0 +1,192 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger').child('cache');
+
+// The log is rewritten once it holds this many times more records than live
+// entries (and at least COMPACT_MIN_RECORDS), so overwritten catalog pages
+// don't pile up between restarts
+const COMPACT_RATIO       = 3;
+const COMPACT_MIN_RECORDS = 5000;
+// Background compaction writes in chunks of about this many characters,
+// letting requests run in between
+const COMPACT_CHUNK = 256 * 1024;
+
+function serialize(value) {
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? null : json;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * One set record. valueJson is the value's JSON, passed in when the caller
+ * already has it; null when the value can't be serialized.
+ */
+function toLine(key, entry, valueJson = serialize(entry.value)) {
+  if (valueJson === null) return null;
+  return `{"k":${JSON.stringify(key)},"v":${valueJson},"e":${JSON.stringify(entry.expiresAt)},` +
+    `"s":${JSON.stringify(entry.staleUntil)},"u":${JSON.stringify(entry.keepUntil)}}`;
+}
+
+/**
+ * File-backed store: entries live in memory and every change is appended to
+ * a JSON-lines log, so a crash loses at most the writes still buffered.
+ * Each line is one record:
+ *
+ *   { "k": key, "v": value, "e": expiresAt, "s": staleUntil, "u": keepUntil }   set
+ *   { "k": key, "d": 1 }                                                       delete
+ *
+ * load() replays the log at boot and snapshot() compacts it down to the
+ * entries not yet past keepUntil; while running, the log is compacted in the
+ * background once it grows too long. Values must survive JSON round-trips;
+ * ones that can't be serialized stay in memory only.
+ *
+ * @param {string} filePath
+ * @returns {import('./memoryStore').CacheStore}
+ */
+function createFileStore(filePath) {
+  const entries = new Map();
+  let log = null;   // append stream, open once load() has run
+  let records = 0;  // lines in the current log
+  let tail = null;  // lines appended while a background compaction runs
+
+  function openLog() {
+    log = fs.createWriteStream(filePath, { flags: 'a' });
+    log.on('error', err => {
+      logger.error(`writing ${filePath} failed, persistence paused until the next snapshot:`, err.message);
+      log = null;
+    });
+  }
+
+  function snapshot() {
+    const now = Date.now();
+    const tmpPath = `${filePath}.tmp`;
+    let written = 0;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const fd = fs.openSync(tmpPath, 'w');
+      try {
+        for (const [key, entry] of entries) {
+          if (entry.keepUntil <= now) continue;
+          const line = toLine(key, entry);
+          if (line === null) continue;
+          fs.writeSync(fd, `${line}\n`);
+          written++;
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+      // Writes still buffered in the old stream land in the replaced file —
+      // harmless, the snapshot already holds them
+      if (log) log.end();
+      fs.renameSync(tmpPath, filePath);
+      records = written;
+      openLog();
+    } catch (err) {
+      logger.error(`snapshot to ${filePath} failed:`, err.message);
+    }
+    return written;
+  }
+
+  /**
+   * snapshot() without blocking: entries are written to a side file in
+   * chunks, and lines appended meanwhile are replayed onto it after the swap.
+   */
+  async function compact() {
+    const now = Date.now();
+    const compactPath = `${filePath}.compact`;
+    tail = [];
+    let written = 0;
+    try {
+      const handle = await fs.promises.open(compactPath, 'w');
+      try {
+        let chunk = '';
+        for (const [key, entry] of entries) {
+          if (entry.keepUntil <= now) continue;
+          const line = toLine(key, entry);
+          if (line === null) continue;
+          chunk += `${line}\n`;
+          written++;
+          if (chunk.length >= COMPACT_CHUNK) {
+            await handle.write(chunk);
+            chunk = '';
+          }
+        }
+        if (chunk) await handle.write(chunk);
+      } finally {
+        await handle.close();
+      }
+      // From here on everything is synchronous, so no append can slip between
+      // the swap and the tail replay
+      fs.renameSync(compactPath, filePath);
+      if (log) log.end();
+      openLog();
+      for (const line of tail) log.write(line);
+      records = written + tail.length;
+    } catch (err) {
+      logger.error(`compacting ${filePath} failed:`, err.message);
+    } finally {
+      tail = null;
+    }
+  }
+
+  function append(line) {
+    if (!log) return;
+    log.write(`${line}\n`);
+    records++;
+    if (tail) {
+      tail.push(`${line}\n`);
+    } else if (records > Math.max(COMPACT_MIN_RECORDS, COMPACT_RATIO * entries.size)) {
+      compact();
+    }
+  }
+
+  async function load() {
+    const now = Date.now();
+    if (fs.existsSync(filePath)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          continue; // torn last line after a crash
+        }
+        if (!record.d && record.u > now) {
+          entries.set(record.k, { value: record.v, expiresAt: record.e, staleUntil: record.s, keepUntil: record.u });
+        } else {
+          entries.delete(record.k);
+        }
+      }
+    }
+    snapshot();
+    return entries.size;
+  }
+
+  return {
+    name: 'file',
+    get: key => entries.get(key),
+    set(key, entry, valueJson) {
+      entries.set(key, entry);
+      const line = toLine(key, entry, valueJson);
+      // An older, serializable value must not come back on the next load
+      append(line !== null ? line : JSON.stringify({ k: key, d: 1 }));
+    },
+    delete(key) {
+      if (!entries.delete(key)) return;
+      append(JSON.stringify({ k: key, d: 1 }));
+    },
+    entries: () => entries.entries(),
+    size: () => entries.size,
+    load,
+    snapshot
+  };
+}
+
+module.exports = { createFileStore };
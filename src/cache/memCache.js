@@ -1,34 +1,211 @@
 'use strict';
 
-// Singleton in-memory TTL cache
-const store = new Map();
+const path = require('path');
+const v8 = require('v8');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const logger = require('../utils/logger').child('cache');
+const metrics = require('../utils/metrics');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '../../data/cache.jsonl');
+
+/**
+ * Pick the backend: CACHE_STORE=file keeps entries in CACHE_FILE across
+ * restarts, anything else stays in memory.
+ * @returns {import('./memoryStore').CacheStore}
+ */
+function createStore() {
+  if (process.env.CACHE_STORE === 'file') return createFileStore(process.env.CACHE_FILE || DEFAULT_CACHE_FILE);
+  return createMemoryStore();
+}
+
+// Singleton TTL cache
+const store = createStore();
 // In-flight request deduplication
 const pending = new Map();
 
+const MB = 1024 * 1024;
+const HEAP_LIMIT = v8.getHeapStatistics().heap_size_limit;
+
+/**
+ * A budget from its env override in MB, or else a share of the heap limit.
+ * Budgets count JSON bytes and the live objects take several times that, so
+ * the default shares add up to a tenth of the heap.
+ */
+function budgetBytes(envName, heapShare) {
+  const mb = parseFloat(process.env[envName]);
+  return mb > 0 ? mb * MB : Math.floor(HEAP_LIMIT * heapShare);
+}
+
+// Memory budgets per key prefix, in approximate bytes (JSON size of the
+// values). The first matching prefix wins; '' takes everything else. Each
+// budget evicts its own least recently used entries, so a burst of meta
+// requests can't push the catalogs out. The Rising snapshots are the
+// baseline the next snapshot is compared with and can't be refetched, so
+// they sit in an unlimited budget of their own.
+const BUDGETS = [
+  { prefix: 'catalog:',           limit: budgetBytes('CACHE_CATALOG_MB', 0.03) },
+  { prefix: 'meta:',              limit: budgetBytes('CACHE_META_MB', 0.04) },
+  { prefix: 'idmap:',             limit: budgetBytes('CACHE_IDMAP_MB', 0.005) },
+  { prefix: 'trending-snapshot:', limit: Infinity },
+  { prefix: '',                   limit: budgetBytes('CACHE_OTHER_MB', 0.025) }
+].map(budget => ({
+  ...budget,
+  bytes: 0,
+  evictions: 0,
+  recency: new Map() // key → size, least recently used first
+}));
+
+const cacheRequests = metrics.counter('cache_requests_total', 'Cache lookups by key prefix and result (hit, stale, miss).');
+const cacheEvictions = metrics.counter('cache_evictions_total', 'Entries evicted to keep a budget under its limit.');
+metrics.gauge('cache_bytes', 'Approximate bytes held per budget.',
+  () => BUDGETS.map(b => ({ labels: { budget: b.prefix || '*' }, value: b.bytes })));
+metrics.gauge('cache_entries', 'Entries held per budget.',
+  () => BUDGETS.map(b => ({ labels: { budget: b.prefix || '*' }, value: b.recency.size })));
+
+// "catalog:english…" → "catalog"
+function keyPrefix(key) {
+  const colon = key.indexOf(':');
+  return colon === -1 ? key : key.slice(0, colon);
+}
+
+function budgetFor(key) {
+  return BUDGETS.find(budget => key.startsWith(budget.prefix));
+}
+
+// The value's JSON, or null when it has none (undefined, cycles)
+function serialize(value) {
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? null : json;
+  } catch (err) {
+    return null;
+  }
+}
+
+function approxSize(key, json) {
+  return key.length + (json === null ? 0 : json.length);
+}
+
+function untrack(key) {
+  const budget = budgetFor(key);
+  const size = budget.recency.get(key);
+  if (size === undefined) return;
+  budget.recency.delete(key);
+  budget.bytes -= size;
+}
+
+function remove(key) {
+  store.delete(key);
+  untrack(key);
+}
+
+/** Mark a key as most recently used. */
+function touch(key) {
+  const budget = budgetFor(key);
+  const size = budget.recency.get(key);
+  if (size === undefined) return;
+  budget.recency.delete(key);
+  budget.recency.set(key, size);
+}
+
+/**
+ * Account for a stored entry, then evict least recently used entries until
+ * its budget fits again. The entry just written always stays.
+ */
+function track(key, size) {
+  untrack(key);
+  const budget = budgetFor(key);
+  budget.recency.set(key, size);
+  budget.bytes += size;
+
+  for (const oldKey of budget.recency.keys()) {
+    if (budget.bytes <= budget.limit || oldKey === key) break;
+    remove(oldKey);
+    budget.evictions++;
+    cacheEvictions.inc({ budget: budget.prefix || '*' });
+  }
+}
+
+// Serialized once here, for the budget and for stores that persist it
+function put(key, entry) {
+  const json = serialize(entry.value);
+  store.set(key, entry, json);
+  track(key, approxSize(key, json));
+}
+
+/**
+ * Seconds past expiry, same meaning as the SDK's response fields.
+ *
+ * @typedef {object} StaleWindows
+ * @property {number} [staleRevalidate] - serve the old value while a background refresh runs
+ * @property {number} [staleError]      - serve the old value when a refresh fails
+ */
+
+/**
+ * @param {*} value
+ * @param {number} ttlSeconds
+ * @param {StaleWindows} [windows]
+ * @returns {import('./memoryStore').CacheEntry}
+ */
+function makeEntry(value, ttlSeconds, windows) {
+  const { staleRevalidate = 0, staleError = 0 } = windows || {};
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const staleUntil = expiresAt + staleRevalidate * 1000;
+  return {
+    value,
+    expiresAt,
+    staleUntil,
+    keepUntil: Math.max(staleUntil, expiresAt + staleError * 1000)
+  };
+}
+
+/**
+ * Run fetchFn and store its result, sharing one in-flight call per key.
+ * fetchFn gets the value being replaced, if any.
+ */
+function fetchAndStore(key, ttlSeconds, fetchFn, windows, previous) {
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = fetchFn(previous).then(result => {
+    const ttl = typeof ttlSeconds === 'function' ? ttlSeconds(result) : ttlSeconds;
+    put(key, makeEntry(result, ttl, typeof windows === 'function' ? windows(result) : windows));
+    pending.delete(key);
+    return result;
+  }).catch(err => {
+    pending.delete(key);
+    throw err;
+  });
+
+  pending.set(key, promise);
+  return promise;
+}
+
 const memCache = {
   /**
    * @param {string} key
    * @param {*} value
    * @param {number} ttlSeconds
+   * @param {StaleWindows} [windows]
    */
-  set(key, value, ttlSeconds) {
-    store.set(key, {
-      value,
-      expiresAt: Date.now() + ttlSeconds * 1000
-    });
+  set(key, value, ttlSeconds, windows) {
+    put(key, makeEntry(value, ttlSeconds, windows));
   },
 
   /**
    * @param {string} key
-   * @returns {*} value or undefined if missing/expired
+   * @returns {*} value or undefined if missing/expired (stale values are not returned)
    */
   get(key) {
     const entry = store.get(key);
-    if (!entry) return undefined;
-    if (Date.now() > entry.expiresAt) {
-      store.delete(key);
+    const now = Date.now();
+    if (entry && now > entry.keepUntil) remove(key);
+    if (!entry || now > entry.expiresAt) {
+      cacheRequests.inc({ prefix: keyPrefix(key), result: 'miss' });
       return undefined;
     }
+    cacheRequests.inc({ prefix: keyPrefix(key), result: 'hit' });
+    touch(key);
     return entry.value;
   },
 
@@ -45,17 +222,17 @@ const memCache = {
    * @param {string} key
    */
   del(key) {
-    store.delete(key);
+    remove(key);
   },
 
   /**
-   * Evict all expired entries — call periodically
+   * Evict entries past their last stale window — call periodically
    */
   evictExpired() {
     const now = Date.now();
     for (const [key, entry] of store.entries()) {
-      if (now > entry.expiresAt) {
-        store.delete(key);
+      if (now > entry.keepUntil) {
+        remove(key);
       }
     }
   },
@@ -63,33 +240,91 @@ const memCache = {
   /**
    * Deduplicated fetch: returns cached value, joins an in-flight request,
    * or calls fetchFn() and shares the result with concurrent callers.
+   * ttlSeconds may be a function of the fetched result, for entries whose
+   * lifetime depends on their content; so may windows — handler responses
+   * carry staleRevalidate / staleError themselves.
+   *
+   * Past expiry the old value is still used:
+   *   within staleRevalidate → returned at once, refreshed in the background
+   *   within staleError      → returned if the refresh throws
+   * It is also passed to fetchFn, which can throw instead of settling for a
+   * worse result while a good one is still there to serve.
+   *
    * @param {string} key
-   * @param {number} ttlSeconds
-   * @param {() => Promise<*>} fetchFn
+   * @param {number|((result: *) => number)} ttlSeconds
+   * @param {(previous: *|undefined) => Promise<*>} fetchFn
+   * @param {StaleWindows|((result: *) => StaleWindows)} [windows]
    * @returns {Promise<*>}
    */
-  async getOrFetch(key, ttlSeconds, fetchFn) {
-    const cached = this.get(key);
-    if (cached !== undefined) return cached;
-
-    if (pending.has(key)) return pending.get(key);
-
-    const promise = fetchFn().then(result => {
-      this.set(key, result, ttlSeconds);
-      pending.delete(key);
-      return result;
-    }).catch(err => {
-      pending.delete(key);
-      throw err;
-    });
-
-    pending.set(key, promise);
-    return promise;
+  async getOrFetch(key, ttlSeconds, fetchFn, windows) {
+    const now = Date.now();
+    let entry = store.get(key);
+    if (entry && now > entry.keepUntil) {
+      remove(key);
+      entry = undefined;
+    }
+    if (entry) touch(key);
+    const result = !entry ? 'miss' : now <= entry.expiresAt ? 'hit' : 'stale';
+    cacheRequests.inc({ prefix: keyPrefix(key), result });
+    if (result === 'hit') return entry.value;
+
+    if (entry && now <= entry.staleUntil) {
+      fetchAndStore(key, ttlSeconds, fetchFn, windows, entry.value).catch(err => {
+        logger.warn(`background refresh of ${key} failed, still serving the stale value:`, err.message);
+      });
+      return entry.value;
+    }
+
+    try {
+      return await fetchAndStore(key, ttlSeconds, fetchFn, windows, entry && entry.value);
+    } catch (err) {
+      if (!entry) throw err;
+      logger.warn(`refresh of ${key} failed, serving the last good value:`, err.message);
+      return entry.value;
+    }
   },
 
   /** Current number of live entries */
   size() {
-    return store.size;
+    return store.size();
+  },
+
+  /**
+   * Per-budget usage and LRU eviction counts, for /health.
+   * @returns {Array<{ prefix: string, entries: number, bytes: number, limit: number|null, evictions: number }>}
+   */
+  budgets() {
+    return BUDGETS.map(b => ({
+      prefix: b.prefix || '*',
+      entries: b.recency.size,
+      bytes: b.bytes,
+      limit: Number.isFinite(b.limit) ? b.limit : null,
+      evictions: b.evictions
+    }));
+  },
+
+  /** Name of the active backend ('memory' or 'file') */
+  storeName() {
+    return store.name;
+  },
+
+  /**
+   * Restore entries persisted by the previous process. Call once at boot,
+   * before anything reads the cache.
+   * @returns {Promise<number>} entries restored
+   */
+  async load() {
+    const restored = await store.load();
+    for (const [key, entry] of store.entries()) track(key, approxSize(key, serialize(entry.value)));
+    return restored;
+  },
+
+  /**
+   * Persist every entry still inside a window. Synchronous, for shutdown handlers.
+   * @returns {number} entries written
+   */
+  snapshot() {
+    return store.snapshot();
   }
 };
 
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {*} value
+ * @property {number} expiresAt  - ms timestamp, fresh until then
+ * @property {number} staleUntil - served while revalidating until then
+ * @property {number} keepUntil  - kept for errors until then; stores may drop the entry after
+ */
+
+/**
+ * Storage backend behind memCache. Reads and writes are synchronous so
+ * cache hits never wait on I/O; persistent backends keep a copy in memory.
+ *
+ * @typedef {object} CacheStore
+ * @property {string} name
+ * @property {(key: string) => CacheEntry|undefined} get
+ * @property {(key: string, entry: CacheEntry, valueJson?: string|null) => void} set
+ *           valueJson is entry.value's JSON (null if it has none), so persistent stores needn't serialize again
+ * @property {(key: string) => void} delete
+ * @property {() => Iterable<[string, CacheEntry]>} entries
+ * @property {() => number} size
+ * @property {() => Promise<number>} load  - restore persisted entries at boot; resolves to the count
+ * @property {() => number} snapshot       - persist entries not yet past keepUntil; synchronous so it can run in a signal handler
+ */
+
+/**
+ * The default store: a plain Map, gone with the process.
+ * @returns {CacheStore}
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    name: 'memory',
+    get: key => entries.get(key),
+    set: (key, entry) => { entries.set(key, entry); },
+    delete: key => { entries.delete(key); },
+    entries: () => entries.entries(),
+    size: () => entries.size,
+    load: async () => 0,
+    snapshot: () => 0
+  };
+}
+
+module.exports = { createMemoryStore };
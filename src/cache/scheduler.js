@@ -3,8 +3,12 @@
 const { fetchCatalog } = require('../addon/catalogHandler');
 const { refreshOfflineDb } = require('../mapping/offlineDb');
 const { refreshFribbDb } = require('../mapping/fribbDb');
+const { refreshTagCollection } = require('../anilist/tags');
+const { refreshStudioList } = require('../anilist/studios');
+const { initTrendingSnapshot, refreshTrendingSnapshot, SNAPSHOT_INTERVAL } = require('../anilist/rising');
+const { secondsUntilReshuffle } = require('../anilist/surprise');
 const memCache = require('./memCache');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('scheduler');
 
 const INTERVALS = [];
 
@@ -13,10 +17,10 @@ const INTERVALS = [];
  */
 async function prewarm(catalogId, extra = {}) {
   try {
-    logger.info(`scheduler: pre-warming ${catalogId}`);
+    logger.info(`pre-warming ${catalogId}`);
     await fetchCatalog(catalogId, extra);
   } catch (err) {
-    logger.warn(`scheduler: prewarm failed for ${catalogId}:`, err.message);
+    logger.warn(`prewarm failed for ${catalogId}:`, err.message);
   }
 }
 
@@ -28,6 +32,10 @@ function startScheduler() {
   prewarm('anilist-trending');
   prewarm('anilist-season');
   prewarm('anilist-recently-updated');
+  prewarm('anilist-airing-schedule');
+  prewarm('anilist-hidden-gems');
+  prewarm('anilist-surprise');
+  initTrendingSnapshot().then(() => prewarm('anilist-rising'));
 
   // --- Trending: refresh every 1 hour ---
   INTERVALS.push(
@@ -44,10 +52,37 @@ function startScheduler() {
     setInterval(() => prewarm('anilist-recently-updated'), 30 * 60 * 1000)
   );
 
+  // --- Airing Schedule: refresh every 1 hour ---
+  INTERVALS.push(
+    setInterval(() => prewarm('anilist-airing-schedule'), 60 * 60 * 1000)
+  );
+
+  // --- Hidden Gems: refresh every 24 hours ---
+  INTERVALS.push(
+    setInterval(() => prewarm('anilist-hidden-gems'), 24 * 60 * 60 * 1000)
+  );
+
+  // --- Rising: new trending snapshot every 6 hours ---
+  INTERVALS.push(
+    setInterval(async () => {
+      logger.info('taking trending snapshot');
+      await refreshTrendingSnapshot();
+      await prewarm('anilist-rising');
+    }, SNAPSHOT_INTERVAL * 1000)
+  );
+
+  // --- Surprise Me: reshuffle just after midnight UTC, then every 24 hours ---
+  INTERVALS.push(
+    setTimeout(() => {
+      prewarm('anilist-surprise');
+      INTERVALS.push(setInterval(() => prewarm('anilist-surprise'), 24 * 60 * 60 * 1000));
+    }, (secondsUntilReshuffle() + 60) * 1000)
+  );
+
   // --- Offline DB: re-download every 24 hours ---
   INTERVALS.push(
     setInterval(async () => {
-      logger.info('scheduler: refreshing offline DB');
+      logger.info('refreshing offline DB');
       await refreshOfflineDb();
     }, 24 * 60 * 60 * 1000)
   );
@@ -55,11 +90,27 @@ function startScheduler() {
   // --- Fribb DB: re-download every 24 hours ---
   INTERVALS.push(
     setInterval(async () => {
-      logger.info('scheduler: refreshing fribb DB');
+      logger.info('refreshing fribb DB');
       await refreshFribbDb();
     }, 24 * 60 * 60 * 1000)
   );
 
+  // --- AniList tag list: refresh every 24 hours ---
+  INTERVALS.push(
+    setInterval(async () => {
+      logger.info('refreshing AniList tags');
+      await refreshTagCollection();
+    }, 24 * 60 * 60 * 1000)
+  );
+
+  // --- Studio picker: refresh every 24 hours ---
+  INTERVALS.push(
+    setInterval(async () => {
+      logger.info('refreshing studio list');
+      await refreshStudioList();
+    }, 24 * 60 * 60 * 1000)
+  );
+
   // --- Evict expired cache entries every 30 minutes ---
   INTERVALS.push(
     setInterval(() => {
@@ -67,12 +118,12 @@ function startScheduler() {
       memCache.evictExpired();
       const after = memCache.size();
       if (before !== after) {
-        logger.debug(`scheduler: evicted ${before - after} expired cache entries (${after} remaining)`);
+        logger.debug(`evicted ${before - after} expired cache entries (${after} remaining)`);
       }
     }, 30 * 60 * 1000)
   );
 
-  logger.info('scheduler: started (trending 1h, season 6h, recently-updated 30m, offline DB 24h, fribb DB 24h, eviction 30m)');
+  logger.info('started (trending 1h, season 6h, recently-updated 30m, airing schedule 1h, hidden gems 24h, trending snapshot 6h, surprise daily at 00:01 UTC, offline DB 24h, fribb DB 24h, tags 24h, studios 24h, eviction 30m)');
 }
 
 /**
@@ -2,21 +2,38 @@
 
 const express = require('express');
 const { addonBuilder, getRouter } = require('stremio-addon-sdk');
-const landingTemplate = require('stremio-addon-sdk/src/landingTemplate');
 const manifest = require('./manifest');
 const { initOfflineDb, isLoaded: offlineDbLoaded } = require('./mapping/offlineDb');
 const { initFribbDb, isLoaded: fribbDbLoaded }     = require('./mapping/fribbDb');
+const { initTagCollection } = require('./anilist/tags');
+const { initStudioList } = require('./anilist/studios');
 const { defineCatalogHandler } = require('./addon/catalogHandler');
 const { defineMetaHandler } = require('./addon/metaHandler');
+const { DEFAULT_CONFIG, decodeConfig, buildConfiguredManifest } = require('./addon/userConfig');
+const { configurePage } = require('./addon/configurePage');
 const { startScheduler, stopScheduler } = require('./cache/scheduler');
 const memCache = require('./cache/memCache');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { requestIdFrom, runWithRequestId } = require('./utils/requestContext');
+
+const httpLogger = logger.child('http');
 
 const PORT = parseInt(process.env.PORT, 10) || 7070;
+// Requests slower than this are logged at warn; the rest only at debug
+const SLOW_REQUEST_MS = 3000;
 
 async function main() {
   logger.info('Anime Catalogue addon starting...');
 
+  // 0. Restore the cache the previous process left behind (CACHE_STORE=file)
+  try {
+    const restored = await memCache.load();
+    if (restored > 0) logger.info(`restored ${restored} cache entries from the ${memCache.storeName()} store`);
+  } catch (err) {
+    logger.error('Failed to restore cache:', err.message);
+  }
+
   // 1. Load ID mapping databases
   try {
     await initOfflineDb();
@@ -38,6 +55,15 @@ async function main() {
     logger.warn('TMDB_API_KEY not set — meta will fall back to AniList + Kitsu episodes');
   }
 
+  if (process.env.ANILIST_USERNAME) {
+    logger.info(`AniList user lists enabled for ${process.env.ANILIST_USERNAME}`);
+  }
+
+  // Tag and studio picker options come from AniList and must be in place
+  // before the builder lints and freezes the manifest
+  await initTagCollection();
+  await initStudioList();
+
   // 2. Build addon
   const builder = new addonBuilder(manifest);
 
@@ -51,36 +77,80 @@ async function main() {
   // 5. Build Express app with addon router and custom routes
   const app = express();
 
+  // Tag every request with an ID (the caller's X-Request-Id if it sent one)
+  // that follows it into the handlers and upstream calls, and log its outcome
+  app.use((req, res, next) => {
+    const requestId = requestIdFrom(req.get('x-request-id'));
+    const start = Date.now();
+    res.setHeader('X-Request-Id', requestId);
+    res.on('finish', () => runWithRequestId(requestId, () => {
+      const ms = Date.now() - start;
+      const level = ms >= SLOW_REQUEST_MS ? 'warn' : 'debug';
+      httpLogger[level](`${req.method} ${req.originalUrl} → ${res.statusCode} in ${ms}ms`);
+    }));
+    runWithRequestId(requestId, next);
+  });
+
   // Health check endpoint (before addon router so it's not blocked)
   app.get('/health', (_req, res) => {
     res.json({
       status: 'ok',
       cache: memCache.size(),
+      cacheStore: memCache.storeName(),
+      cacheBudgets: memCache.budgets(),
       offlineDb: offlineDbLoaded(),
       fribbDb: fribbDbLoaded(),
       tmdb: !!process.env.TMDB_API_KEY
     });
   });
 
-  // Landing page
-  const landingHTML = landingTemplate(manifest);
-  app.get('/', (_req, res) => {
+  // Prometheus scrape endpoint
+  app.get('/metrics', (_req, res) => {
+    res.setHeader('content-type', 'text/plain; version=0.0.4');
+    res.end(metrics.render());
+  });
+
+  // Configure page — fresh installs, and "Configure" on an installed addon
+  // (Stremio opens /:config/configure with the current settings)
+  app.get('/', (_req, res) => res.redirect('/configure'));
+  app.get('/configure', (_req, res) => {
+    res.setHeader('content-type', 'text/html');
+    res.end(configurePage(DEFAULT_CONFIG));
+  });
+  app.get('/:config/configure', (req, res) => {
     res.setHeader('content-type', 'text/html');
-    res.end(landingHTML);
+    res.end(configurePage(decodeConfig(req.params.config)));
+  });
+
+  // The SDK router serializes the manifest once when it is built, which would
+  // hide the tag and studio options refreshed later. Serialize per request.
+  app.get('/manifest.json', (_req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json(manifest);
+  });
+
+  // Per-install manifest (catalog selection and order). The SDK router would
+  // serve the global manifest here, so this route must come first.
+  app.get('/:config/manifest.json', (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.json(buildConfiguredManifest(decodeConfig(req.params.config)));
   });
 
-  // Addon routes (catalog, meta, manifest, etc.)
+  // Addon routes (catalog, meta, manifest, etc.) — the SDK decodes /:config/
+  // and hands it to the handlers as `config`
   app.use(getRouter(builder.getInterface()));
 
   app.listen(PORT, () => {
     logger.info(`Addon listening at http://localhost:${PORT}`);
-    logger.info(`Install URL: http://localhost:${PORT}/manifest.json`);
+    logger.info(`Configure & install: http://localhost:${PORT}/configure`);
   });
 
   // 6. Graceful shutdown
   function shutdown(signal) {
     logger.info(`Received ${signal}, shutting down gracefully...`);
     stopScheduler();
+    const saved = memCache.snapshot();
+    if (saved > 0) logger.info(`saved ${saved} cache entries to the ${memCache.storeName()} store`);
     process.exit(0);
   }
   process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -1,7 +1,8 @@
 'use strict';
 
-const fetch = require('node-fetch');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('kitsu');
+const { instrumentFetch } = require('../utils/metrics');
+const fetch = instrumentFetch('kitsu', require('node-fetch'));
 
 const KITSU_API = 'https://kitsu.app/api/edge';
 const HEADERS = { 'Accept': 'application/vnd.api+json' };
@@ -4,6 +4,64 @@
 const currentYear = new Date().getFullYear();
 const YEAR_OPTIONS = Array.from({ length: currentYear - 1994 }, (_, i) => String(currentYear - i));
 
+// Seasonal browser — next year is included so "Next Season" can cross into January
+const SEASON_OPTIONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+const SEASON_YEAR_OPTIONS = [String(currentYear + 1), ...YEAR_OPTIONS];
+
+// Day picker for the airing schedule catalog
+const AIRING_DAY_OPTIONS = ['Today', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const GENRE_OPTIONS = [
+  'Action', 'Adventure', 'Comedy', 'Drama', 'Fantasy', 'Horror',
+  'Mahou Shoujo', 'Mecha', 'Music', 'Mystery', 'Psychological',
+  'Romance', 'Sci-Fi', 'Slice of Life', 'Sports', 'Supernatural', 'Thriller'
+];
+const SORT_OPTIONS = ['Popular', 'Top Rated', 'Trending', 'Newest'];
+
+// Range and origin filters for the anime discover catalog
+const SCORE_OPTIONS = ['60+', '70+', '80+', '90+'];
+const POPULARITY_OPTIONS = ['1k+', '10k+', '50k+', '100k+'];
+const EPISODE_OPTIONS = ['Short (1-6)', '1 Cour (7-16)', '2 Cour (17-28)', 'Long (29+)'];
+const COUNTRY_OPTIONS = ['Japan', 'South Korea', 'China'];
+
+// Hidden Gems thresholds — minimum average score, maximum popularity (list entries)
+const GEM_SCORE_OPTIONS = ['70+', '75+', '80+', '85+'];
+const GEM_POPULARITY_OPTIONS = ['Under 5k', 'Under 10k', 'Under 25k', 'Under 50k'];
+
+// Tag picker for the tag catalog. This is the fallback list — src/anilist/tags.js
+// replaces it with tags from AniList's MediaTagCollection at startup.
+const TAG_OPTIONS = [
+  'Isekai', 'Iyashikei', 'Time Skip', 'Female Protagonist', 'Male Protagonist', 'Ensemble Cast',
+  'Anti-Hero', 'Coming of Age', 'Found Family', 'Revenge', 'Tragedy', 'Survival', 'Post-Apocalyptic',
+  'Dystopian', 'Cyberpunk', 'Space', 'Time Manipulation', 'Magic', 'Demons', 'Vampire', 'Samurai',
+  'School', 'Work', 'Food', 'Music', 'Idol', 'Band', 'Martial Arts', 'Military', 'Politics',
+  'Detective', 'Heist', 'Gore', 'Rural', 'Historical', 'Video Games', 'Virtual World', 'Cute Girls Doing Cute Things'
+];
+// Minimum tag rank (how strongly a tag applies, as voted on AniList)
+const TAG_RANK_OPTIONS = ['40%+', '60%+', '80%+'];
+
+// Studio picker for the By Studio catalog. This is the fallback list —
+// src/anilist/studios.js replaces it with the most prolific studios at startup.
+const STUDIO_OPTIONS = [
+  'Sunrise', 'J.C.Staff', 'Madhouse', 'Production I.G', 'Toei Animation', 'A-1 Pictures', 'Bones',
+  'Studio Deen', 'Shaft', 'Kyoto Animation', 'MAPPA', 'Wit Studio', 'ufotable', 'CloverWorks',
+  'Studio Ghibli', 'TMS Entertainment', 'Silver Link.', 'Lerche', 'P.A. Works', 'Doga Kobo',
+  'Trigger', 'David Production', 'Liden Films', 'Pierrot', 'Kinema Citrus', 'SANZIGEN'
+];
+// Sort picker for the studio and staff catalogs
+const CREDIT_SORT_OPTIONS = ['Popular', 'Newest'];
+
+// Order picker for the franchise catalog (genre slot, first option is the default)
+const FRANCHISE_ORDER_OPTIONS = ['Watch Order', 'Release Order'];
+
+// Per-user list catalogs, shown when an AniList username is configured
+const USER_LIST_CATALOGS = [
+  { id: 'anilist-user-watching',  name: 'AniList: Watching' },
+  { id: 'anilist-user-planning',  name: 'AniList: Planning' },
+  { id: 'anilist-user-completed', name: 'AniList: Completed' },
+  { id: 'anilist-user-paused',    name: 'AniList: Paused' }
+].map(c => ({ type: 'series', ...c, extra: [{ name: 'skip', isRequired: false }] }));
+
 const manifest = {
   id: 'com.animecatalogue.stremio',
   version: '1.0.0',
@@ -12,6 +70,18 @@ const manifest = {
   resources: ['catalog', 'meta'],
   types: ['series', 'movie', 'anime'],
   idPrefixes: ['tmdb:', 'kitsu:', 'anilist:'],
+  behaviorHints: { configurable: true },
+  // Per-install settings, encoded into the install URL as /:config/manifest.json.
+  // Catalog selection and order are handled by the /configure page.
+  config: [
+    { key: 'titleLanguage', type: 'select', title: 'Title language', options: ['english', 'romaji', 'native'], default: 'english' },
+    { key: 'locale', type: 'select', title: 'Description language', options: ['en-US', 'ja-JP', 'es-ES', 'es-MX', 'fr-FR', 'de-DE', 'it-IT', 'pt-BR', 'ru-RU', 'ko-KR', 'zh-CN'], default: 'en-US' },
+    { key: 'ratingSource', type: 'select', title: 'Rating source', options: ['auto', 'anilist', 'none'], default: 'auto' },
+    { key: 'collapseSeasons', type: 'select', title: 'Collapse seasons', options: ['off', 'show', 'franchise'], default: 'off' },
+    { key: 'adult', type: 'checkbox', title: 'Include adult titles' },
+    { key: 'blockGenres', type: 'text', title: 'Hide genres (comma-separated)' },
+    { key: 'blockTags', type: 'text', title: 'Hide tags (comma-separated)' }
+  ],
   catalogs: [
     {
       type: 'series',
@@ -25,6 +95,22 @@ const manifest = {
       name: 'Popular This Season',
       extra: [{ name: 'skip', isRequired: false }]
     },
+    {
+      type: 'series',
+      id: 'anilist-next-season',
+      name: 'Next Season',
+      extra: [{ name: 'skip', isRequired: false }]
+    },
+    {
+      type: 'series',
+      id: 'anilist-seasonal',
+      name: 'Seasonal Anime',
+      extra: [
+        { name: 'season', isRequired: false, options: SEASON_OPTIONS },
+        { name: 'year', isRequired: false, options: SEASON_YEAR_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
     {
       type: 'series',
       id: 'anilist-popular',
@@ -37,12 +123,85 @@ const manifest = {
       name: 'Top 100 Anime',
       extra: [{ name: 'skip', isRequired: false }]
     },
+    {
+      type: 'series',
+      id: 'anilist-hidden-gems',
+      name: 'Hidden Gems',
+      extra: [
+        { name: 'score', isRequired: false, options: GEM_SCORE_OPTIONS },
+        { name: 'popularity', isRequired: false, options: GEM_POPULARITY_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      // Climbers on the trending chart since the last snapshot (src/anilist/rising.js)
+      type: 'series',
+      id: 'anilist-rising',
+      name: 'Rising',
+      extra: [{ name: 'skip', isRequired: false }]
+    },
+    {
+      // A daily shuffle of well-rated anime (src/anilist/surprise.js) — one page, no skip
+      type: 'series',
+      id: 'anilist-surprise',
+      name: 'Surprise Me',
+      extra: [{ name: 'genre', isRequired: false, options: GENRE_OPTIONS }]
+    },
     {
       type: 'series',
       id: 'anilist-recently-updated',
       name: 'Recently Updated',
       extra: [{ name: 'skip', isRequired: false }]
     },
+    {
+      type: 'series',
+      id: 'anilist-airing-schedule',
+      name: 'Airing Schedule',
+      extra: [
+        { name: 'genre', isRequired: false, options: AIRING_DAY_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      // Reached from the "More Like This" link on a detail page; the extra
+      // is the source show's ID, so the catalog never shows up on the board
+      type: 'series',
+      id: 'anilist-similar',
+      name: 'More Like This',
+      extra: [
+        { name: 'similar', isRequired: true },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      // Reached from the "Watch Order" link on a detail page
+      type: 'series',
+      id: 'anilist-franchise',
+      name: 'Franchise',
+      extra: [
+        { name: 'franchise', isRequired: true },
+        { name: 'genre', isRequired: false, options: FRANCHISE_ORDER_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      type: 'series',
+      id: 'anilist-search',
+      name: 'AniList Search',
+      extra: [
+        { name: 'search', isRequired: true },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      type: 'movie',
+      id: 'anilist-search',
+      name: 'AniList Search',
+      extra: [
+        { name: 'search', isRequired: true },
+        { name: 'skip', isRequired: false }
+      ]
+    },
     {
       type: 'anime',
       id: 'anilist-anime',
@@ -51,11 +210,7 @@ const manifest = {
         {
           name: 'genre',
           isRequired: true,
-          options: [
-            'Action', 'Adventure', 'Comedy', 'Drama', 'Fantasy', 'Horror',
-            'Mahou Shoujo', 'Mecha', 'Music', 'Mystery', 'Psychological',
-            'Romance', 'Sci-Fi', 'Slice of Life', 'Sports', 'Supernatural', 'Thriller'
-          ]
+          options: GENRE_OPTIONS
         },
         {
           name: 'format',
@@ -75,11 +230,53 @@ const manifest = {
         {
           name: 'sort',
           isRequired: false,
-          options: ['Popular', 'Top Rated', 'Trending', 'Newest']
+          options: SORT_OPTIONS
         },
+        { name: 'score', isRequired: false, options: SCORE_OPTIONS },
+        { name: 'popularity', isRequired: false, options: POPULARITY_OPTIONS },
+        { name: 'episodes', isRequired: false, options: EPISODE_OPTIONS },
+        { name: 'country', isRequired: false, options: COUNTRY_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      type: 'anime',
+      id: 'anilist-studio',
+      name: 'By Studio',
+      extra: [
+        { name: 'studio', isRequired: true, options: STUDIO_OPTIONS },
+        { name: 'sort', isRequired: false, options: CREDIT_SORT_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      // Reached from cast and staff links on a detail page; the extra is an
+      // AniList staff ID (or a name)
+      type: 'series',
+      id: 'anilist-staff',
+      name: 'Voice Actor & Staff',
+      extra: [
+        { name: 'staff', isRequired: true },
+        { name: 'sort', isRequired: false, options: CREDIT_SORT_OPTIONS },
+        { name: 'skip', isRequired: false }
+      ]
+    },
+    {
+      // tag and excludeTag also take comma-separated lists from a URL;
+      // excludeGenre likewise
+      type: 'anime',
+      id: 'anilist-tags',
+      name: 'Anime by Tag',
+      extra: [
+        { name: 'tag', isRequired: true, options: TAG_OPTIONS },
+        { name: 'excludeGenre', isRequired: false, options: GENRE_OPTIONS },
+        { name: 'minRank', isRequired: false, options: TAG_RANK_OPTIONS },
+        { name: 'sort', isRequired: false, options: SORT_OPTIONS },
+        { name: 'excludeTag', isRequired: false },
         { name: 'skip', isRequired: false }
       ]
-    }
+    },
+    ...(process.env.ANILIST_USERNAME ? USER_LIST_CATALOGS : [])
   ]
 };
 
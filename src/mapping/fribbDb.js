@@ -3,41 +3,94 @@
 const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('fribbDb');
 
 const FRIBB_URL  = 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
 const FRIBB_PATH = path.join(__dirname, '../../data/anime-list-full.json');
 
-// Map<anilistId (number), tmdbId (number)>
+// Map<anilistId (number), { tmdbId, tmdbType, tmdbSeason, tvdbSeason, episodeOffset, episodeCount }>
 const anilistToTmdb = new Map();
+// TMDB movie and TV IDs are separate namespaces — the same number can be both
 // Map<tmdbId (number), anilistId (number)>
-const tmdbToAnilist = new Map();
+const tmdbTvToAnilist = new Map();
+const tmdbMovieToAnilist = new Map();
+// Map<tmdbId (number), number of AniList entries sharing that TV show>
+const tmdbTvShareCount = new Map();
+
+function toIntOrNull(value) {
+  const n = parseInt(value, 10);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Split cours (Part 1 / Part 2) share one TMDB season and are told apart by
+ * their episode offset. Each entry's episode count runs up to the next
+ * sibling's offset; the last cour in a season is open-ended.
+ */
+function assignEpisodeCounts() {
+  const bySeason = new Map();
+  for (const mapping of anilistToTmdb.values()) {
+    if (mapping.tmdbType !== 'tv' || mapping.tmdbSeason == null) continue;
+    const key = `${mapping.tmdbId}:${mapping.tmdbSeason}`;
+    if (!bySeason.has(key)) bySeason.set(key, []);
+    bySeason.get(key).push(mapping);
+  }
+
+  for (const siblings of bySeason.values()) {
+    siblings.sort((a, b) => a.episodeOffset - b.episodeOffset);
+    for (let i = 0; i < siblings.length - 1; i++) {
+      const gap = siblings[i + 1].episodeOffset - siblings[i].episodeOffset;
+      if (gap > 0) siblings[i].episodeCount = gap;
+    }
+  }
+}
 
 function parseDatabase(json) {
   anilistToTmdb.clear();
-  tmdbToAnilist.clear();
+  tmdbTvToAnilist.clear();
+  tmdbMovieToAnilist.clear();
+  tmdbTvShareCount.clear();
   const entries = Array.isArray(json) ? json : [];
 
   for (const entry of entries) {
     if (entry.anilist_id && entry.themoviedb_id) {
       const anilistId = Number(entry.anilist_id);
       const tmdbId = Number(entry.themoviedb_id);
-      anilistToTmdb.set(anilistId, tmdbId);
-      tmdbToAnilist.set(tmdbId, anilistId);
+      // Fribb points anime films at TMDB movie IDs, everything else at TV IDs
+      const tmdbType = entry.type === 'MOVIE' ? 'movie' : 'tv';
+      // Fribb publishes the season as { tvdb, tmdb } and, for split cours, an episode offset
+      const season = entry.season || {};
+      anilistToTmdb.set(anilistId, {
+        tmdbId,
+        tmdbType,
+        tmdbSeason:    toIntOrNull(season.tmdb),
+        tvdbSeason:    toIntOrNull(season.tvdb),
+        episodeOffset: toIntOrNull(entry.episode_offset) || 0,
+        episodeCount:  null
+      });
+      if (tmdbType === 'movie') {
+        tmdbMovieToAnilist.set(tmdbId, anilistId);
+      } else {
+        // Keep the first (earliest) entry as the reverse mapping for a shared show
+        if (!tmdbTvToAnilist.has(tmdbId)) tmdbTvToAnilist.set(tmdbId, anilistId);
+        tmdbTvShareCount.set(tmdbId, (tmdbTvShareCount.get(tmdbId) || 0) + 1);
+      }
     }
   }
 
-  logger.info(`fribbDb: indexed ${anilistToTmdb.size.toLocaleString()} AniList↔TMDB mappings`);
+  assignEpisodeCounts();
+
+  logger.info(`indexed ${anilistToTmdb.size.toLocaleString()} AniList↔TMDB mappings (${tmdbMovieToAnilist.size.toLocaleString()} movies)`);
 }
 
 async function downloadDatabase() {
-  logger.info('fribbDb: downloading anime-list-full.json...');
+  logger.info('downloading anime-list-full.json...');
   const res = await fetch(FRIBB_URL);
   if (!res.ok) throw new Error(`Failed to download Fribb DB: HTTP ${res.status}`);
   const text = await res.text();
   fs.mkdirSync(path.dirname(FRIBB_PATH), { recursive: true });
   fs.writeFileSync(FRIBB_PATH, text, 'utf8');
-  logger.info('fribbDb: download complete');
+  logger.info('download complete');
   return JSON.parse(text);
 }
 
@@ -48,11 +101,11 @@ async function initFribbDb() {
     const stat = fs.statSync(FRIBB_PATH);
     const ageMs = Date.now() - stat.mtimeMs;
     if (ageMs < 7 * 24 * 60 * 60 * 1000) {
-      logger.info('fribbDb: loading from disk cache');
+      logger.info('loading from disk cache');
       try {
         json = JSON.parse(fs.readFileSync(FRIBB_PATH, 'utf8'));
       } catch (err) {
-        logger.warn('fribbDb: disk cache corrupt, re-downloading');
+        logger.warn('disk cache corrupt, re-downloading');
         json = null;
       }
     }
@@ -67,20 +120,54 @@ async function refreshFribbDb() {
     const json = await downloadDatabase();
     parseDatabase(json);
   } catch (err) {
-    logger.error('fribbDb: refresh failed:', err.message);
+    logger.error('refresh failed:', err.message);
   }
 }
 
 function getTmdbId(anilistId) {
-  return anilistToTmdb.get(Number(anilistId)) || null;
+  const mapping = anilistToTmdb.get(Number(anilistId));
+  return mapping ? mapping.tmdbId : null;
+}
+
+/**
+ * Full TMDB mapping for an AniList ID, including which TMDB namespace it lives in
+ * and, for TV, which season / episode range of the show the entry covers.
+ * `shared` is isSharedTmdbShow() for the entry.
+ * @param {number} anilistId
+ * @returns {{ tmdbId: number, tmdbType: 'tv'|'movie', tmdbSeason: number|null,
+ *             tvdbSeason: number|null, episodeOffset: number, episodeCount: number|null,
+ *             shared: boolean }|null}
+ */
+function getTmdbMapping(anilistId) {
+  const mapping = anilistToTmdb.get(Number(anilistId));
+  return mapping ? { ...mapping, shared: isSharedTmdbShow(anilistId) } : null;
+}
+
+/**
+ * Reverse lookup — TMDB ID → AniList ID within the given namespace.
+ * @param {number} tmdbId
+ * @param {'tv'|'movie'} [tmdbType]
+ * @returns {number|null}
+ */
+function getAnilistIdFromTmdb(tmdbId, tmdbType = 'tv') {
+  const index = tmdbType === 'movie' ? tmdbMovieToAnilist : tmdbTvToAnilist;
+  return index.get(Number(tmdbId)) || null;
 }
 
-function getAnilistIdFromTmdb(tmdbId) {
-  return tmdbToAnilist.get(Number(tmdbId)) || null;
+/**
+ * True when the AniList entry maps to a TMDB TV show that other AniList
+ * entries (other seasons or cours) also map to.
+ * @param {number} anilistId
+ * @returns {boolean}
+ */
+function isSharedTmdbShow(anilistId) {
+  const mapping = anilistToTmdb.get(Number(anilistId));
+  if (!mapping || mapping.tmdbType !== 'tv') return false;
+  return (tmdbTvShareCount.get(mapping.tmdbId) || 0) > 1;
 }
 
 function isLoaded() {
   return anilistToTmdb.size > 0;
 }
 
-module.exports = { initFribbDb, refreshFribbDb, getTmdbId, getAnilistIdFromTmdb, isLoaded };
+module.exports = { initFribbDb, refreshFribbDb, getTmdbId, getTmdbMapping, getAnilistIdFromTmdb, isSharedTmdbShow, isLoaded };
@@ -1,74 +1,143 @@
 'use strict';
 
-const { getKitsuId } = require('./offlineDb');
-const { getTmdbId } = require('./fribbDb');
+const { getKitsuId, getAnilistId } = require('./offlineDb');
+const { getTmdbMapping, isSharedTmdbShow, getAnilistIdFromTmdb } = require('./fribbDb');
 const { searchKitsuId } = require('../kitsu/client');
 const { getTitle } = require('../utils/anilistToMeta');
-const logger = require('../utils/logger');
+const memCache = require('../cache/memCache');
+const logger = require('../utils/logger').child('idMapper');
+const metrics = require('../utils/metrics');
 
-// Per-process cache: anilistId → stremioId (never expires — stable mapping)
-const resolved = new Map();
+const resolutions = metrics.counter('id_resolutions_total', 'Stremio ID resolutions by source.');
 
-// Track AniList IDs where Kitsu API returned no result, so we don't re-query
-const negativeCache = new Set();
+// Both caches live under memCache's idmap: budget, so they stay bounded.
+// Resolved IDs expire weekly so mapping database updates get picked up.
+const RESOLVED_TTL = 7 * 24 * 60 * 60;
+// AniList IDs the Kitsu API had no match for (and their anilist: fallback)
+// are retried daily
+const KITSU_MISS_TTL = 24 * 60 * 60;
+
+function remember(anilistId, stremioId, ttl = RESOLVED_TTL) {
+  memCache.set(`idmap:${anilistId}`, stremioId, ttl);
+  return stremioId;
+}
 
 /**
- * Resolve an AniList media object to a Stremio ID string.
+ * Steps 1–3 of resolveStremioId — the cache and the local mapping databases,
+ * no network.
  *
- * Resolution chain:
- *   1. In-process cache
- *   2. fribbDb TMDB ID             → "tmdb:{numeric}"
- *   3. offlineDb numeric Kitsu ID  → "kitsu:{numeric}"
- *   4. Kitsu API search by title   → "kitsu:{numeric}" or "kitsu:{slug}"
- *   5. Fallback                    → "anilist:{id}"
- *
- * @param {object} media  - AniList media object (must have .id and .title)
- * @returns {Promise<string>}
+ * @param {number} anilistId
+ * @returns {string|null}
  */
-async function resolveStremioId(media) {
-  const anilistId = media.id;
-
-  // 1. In-process cache
-  if (resolved.has(anilistId)) {
-    return resolved.get(anilistId);
+function knownStremioId(anilistId) {
+  // 1. Cache
+  const cached = memCache.get(`idmap:${anilistId}`);
+  if (cached) {
+    resolutions.inc({ source: 'cache' });
+    return cached;
   }
 
   // 2. Fribb DB: AniList → TMDB
-  const tmdbId = getTmdbId(anilistId);
-  if (tmdbId) {
-    const stremioId = `tmdb:${tmdbId}`;
-    resolved.set(anilistId, stremioId);
-    logger.debug(`idMapper: ${anilistId} → ${stremioId} (Fribb DB)`);
-    return stremioId;
+  // Seasons and cours that share one TMDB show would all collapse onto the same
+  // tmdb: ID, so they fall through to an entry-specific ID and the meta handler
+  // slices the show down to that entry's episodes.
+  // Migration note: before this, shared seasons were handed out as tmdb:{show}.
+  // Library items saved with those IDs keep working — a tmdb: ID always serves
+  // the whole show — but they don't pick up the per-season ID; re-adding the
+  // entry from a catalog does. Anything grouping entries by show (season
+  // collapsing) has to go through getTmdbMapping() rather than the ID.
+  // TMDB numbers films and shows independently, so film IDs carry their
+  // namespace; a bare tmdb: ID is a show (or a film handed out before this)
+  const tmdb = getTmdbMapping(anilistId);
+  if (tmdb && !isSharedTmdbShow(anilistId)) {
+    const stremioId = tmdb.tmdbType === 'movie' ? `tmdb:movie:${tmdb.tmdbId}` : `tmdb:${tmdb.tmdbId}`;
+    logger.debug(`${anilistId} → ${stremioId} (Fribb DB)`);
+    resolutions.inc({ source: 'fribb' });
+    return remember(anilistId, stremioId);
   }
 
   // 3. Offline DB lookup
   const kitsuNumeric = getKitsuId(anilistId);
   if (kitsuNumeric) {
     const stremioId = `kitsu:${kitsuNumeric}`;
-    resolved.set(anilistId, stremioId);
-    logger.debug(`idMapper: ${anilistId} → ${stremioId} (offline DB)`);
-    return stremioId;
+    logger.debug(`${anilistId} → ${stremioId} (offline DB)`);
+    resolutions.inc({ source: 'offline_db' });
+    return remember(anilistId, stremioId);
   }
 
+  return null;
+}
+
+/**
+ * Resolve an AniList media object to a Stremio ID string.
+ *
+ * Resolution chain:
+ *   1. memCache (idmap: budget)
+ *   2. fribbDb TMDB ID             → "tmdb:{numeric}"  (only when no other season shares the show)
+ *                                    or "tmdb:movie:{numeric}" for films
+ *   3. offlineDb numeric Kitsu ID  → "kitsu:{numeric}"
+ *   4. Kitsu API search by title   → "kitsu:{numeric}" or "kitsu:{slug}"
+ *   5. Fallback                    → "anilist:{id}"
+ *
+ * @param {object} media  - AniList media object (must have .id and .title)
+ * @returns {Promise<string>}
+ */
+async function resolveStremioId(media) {
+  const anilistId = media.id;
+  const known = knownStremioId(anilistId);
+  if (known) return known;
+
   // 4. Kitsu API search (skip if previously returned no result)
-  if (!negativeCache.has(anilistId)) {
+  if (!memCache.has(`idmap:kitsu-miss:${anilistId}`)) {
     const title = getTitle(media.title);
     const kitsuApiId = await searchKitsuId(title);
     if (kitsuApiId) {
       const stremioId = `kitsu:${kitsuApiId}`;
-      resolved.set(anilistId, stremioId);
-      logger.debug(`idMapper: ${anilistId} → ${stremioId} (Kitsu API)`);
-      return stremioId;
+      logger.debug(`${anilistId} → ${stremioId} (Kitsu API)`);
+      resolutions.inc({ source: 'kitsu_search' });
+      return remember(anilistId, stremioId);
     }
-    negativeCache.add(anilistId);
+    memCache.set(`idmap:kitsu-miss:${anilistId}`, true, KITSU_MISS_TTL);
   }
 
   // 5. Fallback — our own meta handler will serve this
   const stremioId = `anilist:${anilistId}`;
-  resolved.set(anilistId, stremioId);
-  logger.debug(`idMapper: ${anilistId} → ${stremioId} (fallback)`);
-  return stremioId;
+  logger.debug(`${anilistId} → ${stremioId} (fallback)`);
+  resolutions.inc({ source: 'fallback' });
+  return remember(anilistId, stremioId, KITSU_MISS_TTL);
+}
+
+/**
+ * Resolve without remote lookups, for places that resolve many entries at
+ * once (e.g. meta links to related entries). Entries only the Kitsu search
+ * could place get their anilist: ID, which our meta handler serves; the
+ * fallback is not cached, so resolveStremioId still searches for them later.
+ *
+ * @param {object} media - AniList media object (must have .id)
+ * @returns {string}
+ */
+function resolveKnownStremioId(media) {
+  return knownStremioId(media.id) || `anilist:${media.id}`;
+}
+
+/**
+ * Reverse lookup — any ID we hand out (or a bare AniList number) → AniList ID.
+ * A bare tmdb: ID from before film IDs carried their namespace could be
+ * either, so the TV namespace is tried first.
+ *
+ * @param {string} stremioId - "tmdb:…", "tmdb:movie:…", "kitsu:…", "anilist:…" or "123"
+ * @returns {number|null}
+ */
+function toAnilistId(stremioId) {
+  const id = String(stremioId || '').trim();
+  let m;
+  if ((m = id.match(/^(?:anilist:)?(\d+)$/))) return parseInt(m[1], 10);
+  if ((m = id.match(/^kitsu:(\d+)$/)))        return getAnilistId(m[1]);
+  if ((m = id.match(/^tmdb:movie:(\d+)$/)))   return getAnilistIdFromTmdb(m[1], 'movie');
+  if ((m = id.match(/^tmdb:(\d+)$/))) {
+    return getAnilistIdFromTmdb(m[1], 'tv') || getAnilistIdFromTmdb(m[1], 'movie');
+  }
+  return null;
 }
 
-module.exports = { resolveStremioId };
+module.exports = { resolveStremioId, resolveKnownStremioId, toAnilistId };
@@ -3,7 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('offlineDb');
 
 const DB_URL = 'https://github.com/manami-project/anime-offline-database/releases/latest/download/anime-offline-database-minified.json';
 const DB_PATH = path.join(__dirname, '../../data/anime-offline-database.json');
@@ -32,7 +32,7 @@ function parseDatabase(json) {
 
   const entries = json.data || json;
   if (!Array.isArray(entries)) {
-    logger.warn('offlineDb: unexpected format — data is not an array');
+    logger.warn('unexpected format — data is not an array');
     return;
   }
 
@@ -57,20 +57,20 @@ function parseDatabase(json) {
     }
   }
 
-  logger.info(`offlineDb: indexed ${anilistToKitsu.size.toLocaleString()} AniList→Kitsu mappings`);
+  logger.info(`indexed ${anilistToKitsu.size.toLocaleString()} AniList→Kitsu mappings`);
 }
 
 /**
  * Download the database from GitHub and save to disk.
  */
 async function downloadDatabase() {
-  logger.info('offlineDb: downloading anime-offline-database...');
+  logger.info('downloading anime-offline-database...');
   const res = await fetch(DB_URL);
   if (!res.ok) throw new Error(`Failed to download offline DB: HTTP ${res.status}`);
   const text = await res.text();
   fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
   fs.writeFileSync(DB_PATH, text, 'utf8');
-  logger.info('offlineDb: download complete');
+  logger.info('download complete');
   return JSON.parse(text);
 }
 
@@ -85,11 +85,11 @@ async function initOfflineDb() {
     const stat = fs.statSync(DB_PATH);
     const ageMs = Date.now() - stat.mtimeMs;
     if (ageMs < 7 * 24 * 60 * 60 * 1000) {
-      logger.info('offlineDb: loading from disk cache');
+      logger.info('loading from disk cache');
       try {
         json = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
       } catch (err) {
-        logger.warn('offlineDb: disk cache corrupt, re-downloading:', err.message);
+        logger.warn('disk cache corrupt, re-downloading:', err.message);
         json = null;
       }
     }
@@ -110,7 +110,7 @@ async function refreshOfflineDb() {
     const json = await downloadDatabase();
     parseDatabase(json);
   } catch (err) {
-    logger.error('offlineDb: refresh failed:', err.message);
+    logger.error('refresh failed:', err.message);
   }
 }
 
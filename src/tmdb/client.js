@@ -1,9 +1,12 @@
 'use strict';
 
-const fetch = require('node-fetch');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('tmdb');
+const { instrumentFetch } = require('../utils/metrics');
+const fetch = instrumentFetch('tmdb', require('node-fetch'));
+const { applyNextAiring } = require('../utils/anilistToMeta');
 const TMDB_API   = 'https://api.themoviedb.org/3';
 const TMDB_IMG   = 'https://image.tmdb.org/t/p';
+const DEFAULT_LOCALE = 'en-US';
 
 function apiKey() {
   const k = process.env.TMDB_API_KEY;
@@ -16,16 +19,38 @@ function backdrop(p)   { return p ? `${TMDB_IMG}/original${p}`: undefined; }
 function still(p)      { return p ? `${TMDB_IMG}/w300${p}`    : undefined; }
 
 /**
- * Fetch TV series details from TMDB.
+ * Swap the English overview for the locale's translation when TMDB has one.
+ * Expects a series/movie response fetched with append_to_response=translations.
+ * Matches language + region first (pt-BR), then language alone (pt).
+ */
+function localizeOverview(item, locale) {
+  if (!item || !locale || locale === DEFAULT_LOCALE) return item;
+  const translations = (item.translations && item.translations.translations) || [];
+  const [lang, region] = locale.split('-');
+  const match = translations.find(t => t.iso_639_1 === lang && t.iso_3166_1 === region)
+             || translations.find(t => t.iso_639_1 === lang);
+  if (match && match.data && match.data.overview) item.overview = match.data.overview;
+  return item;
+}
+
+/**
+ * TMDB fills untranslated episode names with a placeholder ("Épisode 5").
+ */
+function isPlaceholderName(name, episodeNumber) {
+  return !name || new RegExp(`^\\S+\\s+${episodeNumber}$`).test(name.trim());
+}
+
+/**
+ * Fetch TV series details from TMDB, with the overview in `locale` when translated.
  * Returns null on 404 (not found), throws on other errors.
  */
-async function fetchTmdbSeries(tmdbId) {
+async function fetchTmdbSeries(tmdbId, locale = DEFAULT_LOCALE) {
   // videos is appended here; aggregate_credits must be a separate call (not supported via append_to_response)
-  const url = `${TMDB_API}/tv/${tmdbId}?api_key=${apiKey()}&language=en-US&append_to_response=videos`;
+  const url = `${TMDB_API}/tv/${tmdbId}?api_key=${apiKey()}&language=en-US&append_to_response=videos,translations`;
   const res = await fetch(url);
   if (res.status === 404) return null;
   if (!res.ok) throw new Error(`TMDB /tv/${tmdbId} returned ${res.status}`);
-  return res.json();
+  return localizeOverview(await res.json(), locale);
 }
 
 /**
@@ -45,14 +70,43 @@ async function fetchTmdbAggregateCredits(tmdbId) {
  * Fetch one season's episode list from TMDB.
  * Returns null on 404.
  */
-async function fetchTmdbSeason(tmdbId, seasonNum) {
-  const url = `${TMDB_API}/tv/${tmdbId}/season/${seasonNum}?api_key=${apiKey()}&language=en-US`;
+async function fetchTmdbSeason(tmdbId, seasonNum, locale = DEFAULT_LOCALE) {
+  const url = `${TMDB_API}/tv/${tmdbId}/season/${seasonNum}?api_key=${apiKey()}&language=${encodeURIComponent(locale)}`;
   const res = await fetch(url);
   if (res.status === 404) return null;
   if (!res.ok) throw new Error(`TMDB season ${seasonNum} for ${tmdbId} returned ${res.status}`);
   return res.json();
 }
 
+/**
+ * Fetch a season in `locale`, falling back to English per episode for names
+ * and overviews TMDB has no translation for.
+ */
+async function fetchTmdbSeasonLocalized(tmdbId, seasonNum, locale) {
+  if (!locale || locale === DEFAULT_LOCALE) return fetchTmdbSeason(tmdbId, seasonNum);
+
+  const [english, localized] = await Promise.all([
+    fetchTmdbSeason(tmdbId, seasonNum),
+    fetchTmdbSeason(tmdbId, seasonNum, locale).catch(err => {
+      logger.warn(`TMDB ${locale} season ${seasonNum} for ${tmdbId} failed: ${err.message}`);
+      return null;
+    }),
+  ]);
+  if (!english || !localized || !Array.isArray(localized.episodes)) return english;
+
+  const byNumber = new Map(localized.episodes.map(ep => [ep.episode_number, ep]));
+  const episodes = (english.episodes || []).map(ep => {
+    const tr = byNumber.get(ep.episode_number);
+    if (!tr) return ep;
+    return {
+      ...ep,
+      name:     isPlaceholderName(tr.name, ep.episode_number) ? ep.name : tr.name,
+      overview: tr.overview || ep.overview,
+    };
+  });
+  return { ...english, episodes };
+}
+
 /**
  * Fetch all seasons for a series and return a flat episode array.
  * Regular seasons (1-N) come first; Season 0 (specials/OVAs) is appended
@@ -60,16 +114,17 @@ async function fetchTmdbSeason(tmdbId, seasonNum) {
  *
  * @param {number} tmdbId
  * @param {number} numSeasons  - from series.number_of_seasons
+ * @param {string} [locale]    - episode names / overviews, English where untranslated
  * @returns {Promise<Array>}
  */
-async function fetchTmdbAllEpisodes(tmdbId, numSeasons) {
+async function fetchTmdbAllEpisodes(tmdbId, numSeasons, locale = DEFAULT_LOCALE) {
   // Fetch all seasons in parallel (regular 1..N + specials 0)
   const seasonNums = [];
   for (let s = 1; s <= numSeasons; s++) seasonNums.push(s);
   seasonNums.push(0); // specials last
 
   const results = await Promise.all(
-    seasonNums.map(s => fetchTmdbSeason(tmdbId, s).then(season => ({ s, season })))
+    seasonNums.map(s => fetchTmdbSeasonLocalized(tmdbId, s, locale).then(season => ({ s, season })))
   );
 
   const allEpisodes = [];
@@ -95,6 +150,31 @@ async function fetchTmdbAllEpisodes(tmdbId, numSeasons) {
   return allEpisodes;
 }
 
+/**
+ * Keep only the episodes a single AniList entry covers within a shared TMDB show.
+ * Uses the Fribb season number plus the episode offset / count for split cours.
+ * Falls back to the full list when the show isn't shared (a long-running show
+ * mapped to season 1 keeps its later seasons and specials), when the mapping
+ * has no season, or when it selects nothing (e.g. TMDB numbers the show
+ * absolutely and Fribb doesn't agree).
+ *
+ * @param {Array}  allEpisodes - flat array from fetchTmdbAllEpisodes()
+ * @param {object} mapping     - from fribbDb.getTmdbMapping()
+ * @returns {Array}
+ */
+function sliceEpisodesForMapping(allEpisodes, mapping) {
+  if (!mapping || !mapping.shared || mapping.tmdbSeason == null) return allEpisodes;
+  const { tmdbSeason, episodeOffset = 0, episodeCount = null } = mapping;
+
+  const sliced = allEpisodes.filter(ep =>
+    ep.season_number === tmdbSeason &&
+    ep.episode_number > episodeOffset &&
+    (episodeCount == null || ep.episode_number <= episodeOffset + episodeCount)
+  );
+
+  return sliced.length > 0 ? sliced : allEpisodes;
+}
+
 /**
  * Fetch external IDs (IMDB, TVDB, etc.) for a TMDB TV series.
  * Returns null on error. imdb_id may be null if the show isn't on IMDB.
@@ -106,6 +186,41 @@ async function fetchTmdbExternalIds(tmdbId) {
   return res.json();
 }
 
+/**
+ * Fetch movie details from TMDB, with the overview in `locale` when translated.
+ * Returns null on 404 (not found), throws on other errors.
+ */
+async function fetchTmdbMovie(tmdbId, locale = DEFAULT_LOCALE) {
+  const url = `${TMDB_API}/movie/${tmdbId}?api_key=${apiKey()}&language=en-US&append_to_response=videos,translations`;
+  const res = await fetch(url);
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`TMDB /movie/${tmdbId} returned ${res.status}`);
+  return localizeOverview(await res.json(), locale);
+}
+
+/**
+ * Fetch cast and crew for a movie.
+ * Returns null on error.
+ */
+async function fetchTmdbMovieCredits(tmdbId) {
+  const url = `${TMDB_API}/movie/${tmdbId}/credits?api_key=${apiKey()}&language=en-US`;
+  const res = await fetch(url);
+  if (!res.ok) return null;
+  return res.json();
+  // Returns: { cast: [{ name, character, order }], crew: [{ name, job }] }
+}
+
+/**
+ * Fetch external IDs (IMDB, Wikidata, etc.) for a TMDB movie.
+ * Returns null on error. imdb_id may be null if the film isn't on IMDB.
+ */
+async function fetchTmdbMovieExternalIds(tmdbId) {
+  const url = `${TMDB_API}/movie/${tmdbId}/external_ids?api_key=${apiKey()}`;
+  const res = await fetch(url);
+  if (!res.ok) return null;
+  return res.json();
+}
+
 /**
  * Build a Stremio meta object from a TMDB series + episodes.
  *
@@ -114,9 +229,12 @@ async function fetchTmdbExternalIds(tmdbId) {
  * @param {string}      stremioId   - e.g. "kitsu:47759"
  * @param {string|null} imdbId      - e.g. "tt0944947" — when provided, video IDs use IMDB format
  *                                    so Torrentio routes streams via its IMDB path (better coverage)
+ * @param {object|null} nextAiring  - AniList nextAiringEpisode for the entry, if it is airing
+ * @param {object|null} mapping     - fribbDb mapping, used to place the AniList episode in TMDB numbering
+ * @param {object}      [options]   - { absoluteAiring } for static output, see applyNextAiring
  * @returns {object}
  */
-function buildMetaFromTmdb(series, allEpisodes, stremioId, imdbId, aggregateCredits, requestedType) {
+function buildMetaFromTmdb(series, allEpisodes, stremioId, imdbId, aggregateCredits, requestedType, nextAiring, mapping, options) {
   const statusMap = {
     'Returning Series': 'Continuing',
     'Ended':            'Ended',
@@ -187,6 +305,77 @@ function buildMetaFromTmdb(series, allEpisodes, stremioId, imdbId, aggregateCred
       return video;
     });
 
+  // AniList numbers episodes per entry; TMDB per season, shifted by the cour offset
+  if (nextAiring) {
+    const season  = mapping && mapping.tmdbSeason != null ? mapping.tmdbSeason : 1;
+    const episode = ((mapping && mapping.episodeOffset) || 0) + nextAiring.episode;
+    applyNextAiring(meta, nextAiring, videoBase, season, episode, options);
+  }
+
+  return meta;
+}
+
+/**
+ * Build a Stremio movie meta object from a TMDB movie.
+ *
+ * @param {object}      movie     - TMDB /movie/{id} response
+ * @param {string}      stremioId - e.g. "tmdb:movie:129"
+ * @param {string|null} imdbId    - e.g. "tt0245429" — used as defaultVideoId so stream
+ *                                  addons resolve the film via their IMDB path
+ * @param {object|null} credits   - TMDB /movie/{id}/credits response
+ * @returns {object}
+ */
+function buildMetaFromTmdbMovie(movie, stremioId, imdbId, credits) {
+  const statusMap = {
+    'Released':        'Released',
+    'Post Production': 'Upcoming',
+    'In Production':   'Upcoming',
+    'Planned':         'Upcoming',
+    'Canceled':        'Cancelled',
+  };
+
+  const meta = {
+    id:          stremioId,
+    type:        'movie',
+    name:        movie.title,
+    poster:      poster(movie.poster_path),
+    background:  backdrop(movie.backdrop_path),
+    description: movie.overview || '',
+    genres:      (movie.genres || []).map(g => g.name),
+    status:      statusMap[movie.status] || movie.status || undefined,
+  };
+
+  if (imdbId) meta.imdbId = imdbId;
+
+  if (credits && Array.isArray(credits.cast) && credits.cast.length > 0) {
+    meta.cast = credits.cast.slice(0, 10).map(c => c.name);
+  }
+  if (credits && Array.isArray(credits.crew)) {
+    const directors = credits.crew.filter(c => c.job === 'Director').map(c => c.name);
+    if (directors.length > 0) meta.director = directors;
+  }
+
+  if (movie.videos && Array.isArray(movie.videos.results)) {
+    const trailer = movie.videos.results.find(v => v.site === 'YouTube' && v.type === 'Trailer');
+    if (trailer) {
+      meta.trailers = [{ source: trailer.key, type: 'Trailer' }];
+    }
+  }
+
+  if (movie.vote_average) {
+    meta.imdbRating = movie.vote_average.toFixed(1);
+  }
+
+  if (movie.release_date) {
+    meta.releaseInfo = movie.release_date.slice(0, 4);
+    meta.released    = new Date(movie.release_date).toISOString();
+  }
+
+  if (movie.runtime) meta.runtime = `${movie.runtime} min`;
+
+  // Movies have a single video — point stream addons at the IMDB ID when we have one
+  meta.behaviorHints = { defaultVideoId: imdbId || stremioId };
+
   return meta;
 }
 
@@ -196,5 +385,10 @@ module.exports = {
   fetchTmdbAllEpisodes,
   fetchTmdbExternalIds,
   fetchTmdbAggregateCredits,
+  sliceEpisodesForMapping,
   buildMetaFromTmdb,
+  fetchTmdbMovie,
+  fetchTmdbMovieCredits,
+  fetchTmdbMovieExternalIds,
+  buildMetaFromTmdbMovie,
 };
@@ -18,6 +18,86 @@ function getCurrentSeason() {
   return { season, year };
 }
 
+const SEASON_ORDER = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+
+/**
+ * The season after the current one (Fall rolls over into next year's Winter).
+ * @returns {{ season: string, year: number }}
+ */
+function getNextSeason() {
+  const { season, year } = getCurrentSeason();
+  const idx = SEASON_ORDER.indexOf(season);
+  if (idx === SEASON_ORDER.length - 1) return { season: SEASON_ORDER[0], year: year + 1 };
+  return { season: SEASON_ORDER[idx + 1], year };
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Unix-second window for the airing schedule catalog (UTC days).
+ *   no day    → now … now + 7 days
+ *   'Today'   → the current UTC day
+ *   'Monday'… → the next occurrence of that weekday, today included
+ *
+ * @param {string} [day]
+ * @returns {{ airingAt_greater: number, airingAt_lesser: number }}
+ */
+function getAiringWindow(day) {
+  const now = Math.floor(Date.now() / 1000);
+  if (!day) return { airingAt_greater: now, airingAt_lesser: now + 7 * DAY_SECONDS };
+
+  const todayStart = now - (now % DAY_SECONDS);
+  let offset = 0;
+  if (day !== 'Today') {
+    const target = WEEKDAYS.indexOf(day);
+    if (target === -1) return { airingAt_greater: now, airingAt_lesser: now + 7 * DAY_SECONDS };
+    offset = (target - new Date(now * 1000).getUTCDay() + 7) % 7;
+  }
+
+  const start = todayStart + offset * DAY_SECONDS;
+  return { airingAt_greater: start - 1, airingAt_lesser: start + DAY_SECONDS };
+}
+
+/**
+ * Format an AniList airingAt timestamp, e.g. "Mon 14:30 UTC".
+ * @param {number} airingAt - unix seconds
+ * @returns {string}
+ */
+function formatAiringTime(airingAt) {
+  const d = new Date(airingAt * 1000);
+  const hh = String(d.getUTCHours()).padStart(2, '0');
+  const mm = String(d.getUTCMinutes()).padStart(2, '0');
+  return `${WEEKDAYS[d.getUTCDay()].slice(0, 3)} ${hh}:${mm} UTC`;
+}
+
+/**
+ * Absolute air time with the date, e.g. "Mon 2026-10-19 14:30 UTC" — for
+ * output that outlives the moment it was built (static meta files).
+ * @param {number} airingAt - unix seconds
+ * @returns {string}
+ */
+function formatAiringDate(airingAt) {
+  const date = new Date(airingAt * 1000).toISOString().slice(0, 10);
+  const [weekday, time] = formatAiringTime(airingAt).split(' ');
+  return `${weekday} ${date} ${time} UTC`;
+}
+
+/**
+ * Human-readable countdown, e.g. "2d 3h", "5h 12m", "12m".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatCountdown(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const d = Math.floor(s / DAY_SECONDS);
+  const h = Math.floor((s % DAY_SECONDS) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (d > 0) return `${d}d ${h}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
 /**
  * Map AniList format to Stremio type.
  * @param {string} format
@@ -46,24 +126,57 @@ function stripHtml(str) {
     .trim();
 }
 
+// Display names for AniList MediaFormat values
+const FORMAT_LABELS = {
+  TV:       'TV',
+  TV_SHORT: 'TV Short',
+  MOVIE:    'Movie',
+  SPECIAL:  'Special',
+  OVA:      'OVA',
+  ONA:      'ONA',
+  MUSIC:    'Music'
+};
+
+/**
+ * @param {string} format - AniList MediaFormat
+ * @returns {string}
+ */
+function formatLabel(format) {
+  return FORMAT_LABELS[format] || format || 'Unknown';
+}
+
+// Fallback order for each title language
+const TITLE_ORDER = {
+  english: ['english', 'romaji', 'native'],
+  romaji:  ['romaji', 'english', 'native'],
+  native:  ['native', 'romaji', 'english']
+};
+
 /**
  * Get the preferred display title from AniList title object.
  * @param {{ english?: string, romaji?: string, native?: string }} title
+ * @param {'english'|'romaji'|'native'} [language]
  * @returns {string}
  */
-function getTitle(title) {
-  return title.english || title.romaji || title.native || 'Unknown';
+function getTitle(title, language = 'english') {
+  const order = TITLE_ORDER[language] || TITLE_ORDER.english;
+  for (const key of order) {
+    if (title[key]) return title[key];
+  }
+  return 'Unknown';
 }
 
 /**
  * Build a catalog meta preview item.
  * @param {object} media  - AniList media object
  * @param {string} stremioId - resolved stremio ID (e.g. "kitsu:12345")
+ * @param {string} [overrideType]
+ * @param {object} [config] - per-install config (titleLanguage, ratingSource)
  * @returns {object}
  */
-function buildMetaPreview(media, stremioId, overrideType) {
+function buildMetaPreview(media, stremioId, overrideType, config = {}) {
   const type = overrideType || anilistFormatToStremioType(media.format);
-  const name = getTitle(media.title);
+  const name = getTitle(media.title, config.titleLanguage);
 
   const meta = {
     id: stremioId,
@@ -75,7 +188,7 @@ function buildMetaPreview(media, stremioId, overrideType) {
     description: stripHtml(media.description)
   };
 
-  if (media.averageScore) {
+  if (media.averageScore && config.ratingSource !== 'none') {
     meta.imdbRating = (media.averageScore / 10).toFixed(1);
   }
 
@@ -89,14 +202,218 @@ function buildMetaPreview(media, stremioId, overrideType) {
   return meta;
 }
 
+/**
+ * Build a catalog preview for an airing schedule entry — the next episode
+ * number and air time lead the description.
+ * @param {{ episode: number, airingAt: number, media: object }} schedule
+ * @param {string} stremioId
+ * @param {object} [config]
+ * @returns {object}
+ */
+function buildAiringPreview(schedule, stremioId, config) {
+  const meta = buildMetaPreview(schedule.media, stremioId, undefined, config);
+  const airing = `Ep ${schedule.episode} · ${formatAiringTime(schedule.airingAt)}`;
+  meta.description = meta.description ? `${airing}\n\n${meta.description}` : airing;
+  meta.releaseInfo = airing;
+  return meta;
+}
+
+/**
+ * Build a catalog preview for one entry of a franchise listing — its position
+ * in the chosen order and its format lead the description.
+ * @param {object} media
+ * @param {string} stremioId
+ * @param {number} position - 1-based
+ * @param {object} [config]
+ * @returns {object}
+ */
+function buildFranchisePreview(media, stremioId, position, config) {
+  const meta = buildMetaPreview(media, stremioId, undefined, config);
+  const format = formatLabel(media.format);
+  const label = `#${position} · ${format}`;
+  meta.description = meta.description ? `${label}\n\n${meta.description}` : label;
+  meta.releaseInfo = meta.releaseInfo ? `${format} · ${meta.releaseInfo}` : format;
+  return meta;
+}
+
+/**
+ * Build a catalog preview for a trending climber — places gained and the
+ * current chart position lead the description.
+ * @param {object} media
+ * @param {string} stremioId
+ * @param {{ rank: number, climb: number }} entry
+ * @param {object} [config]
+ * @returns {object}
+ */
+function buildRisingPreview(media, stremioId, entry, config) {
+  const meta = buildMetaPreview(media, stremioId, undefined, config);
+  const label = `▲${entry.climb} · #${entry.rank} trending`;
+  meta.description = meta.description ? `${label}\n\n${meta.description}` : label;
+  meta.releaseInfo = label;
+  return meta;
+}
+
+/**
+ * Build a catalog preview for a tile that stands in for several seasons of
+ * one show — the season count leads the description.
+ * @param {object} media - best-ranked entry of the group
+ * @param {string} stremioId
+ * @param {number} count - entries collapsed into this tile
+ * @param {string} [overrideType]
+ * @param {object} [config]
+ * @returns {object}
+ */
+function buildCollapsedPreview(media, stremioId, count, overrideType, config) {
+  const meta = buildMetaPreview(media, stremioId, overrideType, config);
+  if (count > 1) {
+    const label = `${count} seasons`;
+    meta.description = meta.description ? `${label}\n\n${meta.description}` : label;
+    meta.releaseInfo = meta.releaseInfo ? `${meta.releaseInfo} · ${label}` : label;
+  }
+  return meta;
+}
+
+/**
+ * Add the upcoming episode to an existing meta.videos list with its future
+ * release date so Stremio's calendar and notifications pick it up. If the
+ * episode is already listed (TMDB often has future episodes) only its release
+ * time is updated. A meta without videos is left alone: a list holding only
+ * the unaired episode would hide the rest of the series.
+ *
+ * @param {object} meta
+ * @param {{ episode: number, airingAt: number }} nextAiring - AniList nextAiringEpisode
+ * @param {string} videoBase - prefix for the video ID (stremio or IMDB ID)
+ * @param {number} [season]
+ * @param {number} [episode] - defaults to the AniList episode number
+ * @returns {object} meta
+ */
+function addNextAiringVideo(meta, nextAiring, videoBase, season = 1, episode = nextAiring && nextAiring.episode) {
+  if (!nextAiring || !nextAiring.airingAt) return meta;
+  if (!Array.isArray(meta.videos) || meta.videos.length === 0) return meta;
+  const released = new Date(nextAiring.airingAt * 1000).toISOString();
+
+  const existing = meta.videos.find(v => v.season === season && v.episode === episode);
+  if (existing) {
+    existing.released = released;
+    return meta;
+  }
+
+  meta.videos.push({
+    id:      `${videoBase}:${season}:${episode}`,
+    title:   `Episode ${episode}`,
+    season,
+    episode,
+    released
+  });
+  return meta;
+}
+
+/**
+ * Surface the next episode in a meta: "Ep N airs in X" leads the description
+ * and the episode is annotated in meta.videos. Without videos to annotate the
+ * air time goes into releaseInfo instead.
+ *
+ * With options.absoluteAiring the notice carries only the dated UTC air time, for
+ * static files where a countdown would be stale by the time it is read.
+ *
+ * @param {object} meta
+ * @param {{ episode: number, airingAt: number }} nextAiring
+ * @param {string} videoBase
+ * @param {number} [season]
+ * @param {number} [episode]
+ * @param {{ absoluteAiring?: boolean }} [options]
+ * @returns {object} meta
+ */
+function applyNextAiring(meta, nextAiring, videoBase, season, episode, options = {}) {
+  if (!nextAiring || !nextAiring.airingAt) return meta;
+
+  const untilAiring = nextAiring.airingAt - Math.floor(Date.now() / 1000);
+  const when = options.absoluteAiring
+    ? formatAiringDate(nextAiring.airingAt)
+    : `in ${formatCountdown(untilAiring)} (${formatAiringTime(nextAiring.airingAt)})`;
+  const notice = `Ep ${nextAiring.episode} airs ${when}`;
+  meta.description = meta.description ? `${notice}\n\n${meta.description}` : notice;
+
+  if (!Array.isArray(meta.videos) || meta.videos.length === 0) {
+    meta.releaseInfo = notice;
+    return meta;
+  }
+  return addNextAiringVideo(meta, nextAiring, videoBase, season, episode);
+}
+
+/**
+ * Build a catalog preview for an AniList list entry — watch progress
+ * ("Ep 5/12") leads the description.
+ * @param {{ progress: number, media: object }} entry
+ * @param {string} stremioId
+ * @param {object} [config]
+ * @returns {object}
+ */
+function buildListEntryPreview(entry, stremioId, config) {
+  const meta = buildMetaPreview(entry.media, stremioId, undefined, config);
+  const progress = `Ep ${entry.progress || 0}/${entry.media.episodes || '?'}`;
+  meta.description = meta.description ? `${progress}\n\n${meta.description}` : progress;
+  meta.releaseInfo = progress;
+  return meta;
+}
+
+// Key staff roles → Stremio link category. AniList roles carry notes such as
+// "Music (eps 1-12)", which are stripped before matching.
+const STAFF_ROLES = {
+  'Director':           'Directors',
+  'Chief Director':     'Directors',
+  'Series Composition': 'Writers',
+  'Music':              'Music'
+};
+
+// Voice actor language → Stremio link category
+const VOICE_LANGUAGES = {
+  japanese: 'Cast',
+  english:  'English Cast'
+};
+
+/**
+ * Voice actors (by language) and key staff from AniList credits.
+ *
+ * @param {object} media - AniList media with characters / staff
+ * @returns {{ voiceActors: Array<{ category: string, character: string, staff: object }>,
+ *             staff: Array<{ category: string, role: string, staff: object }> }}
+ */
+function getCredits(media) {
+  const voiceActors = [];
+  const characterEdges = (media.characters && media.characters.edges) || [];
+  for (const [language, category] of Object.entries(VOICE_LANGUAGES)) {
+    for (const edge of characterEdges) {
+      const actor = (edge[language] || [])[0];
+      if (!actor || !edge.node) continue;
+      voiceActors.push({ category, character: edge.node.name.full, staff: actor });
+    }
+  }
+
+  const staff = [];
+  const seen = new Set();
+  for (const edge of (media.staff && media.staff.edges) || []) {
+    const role = (edge.role || '').replace(/\s*\(.*\)$/, '');
+    const category = STAFF_ROLES[role];
+    if (!category || !edge.node || seen.has(`${category}:${edge.node.id}`)) continue;
+    seen.add(`${category}:${edge.node.id}`);
+    staff.push({ category, role, staff: edge.node });
+  }
+
+  return { voiceActors, staff };
+}
+
 /**
  * Build a full meta object (for meta handler responses).
  * @param {object} media
  * @param {string} stremioId
+ * @param {string} [requestedType]
+ * @param {object} [config]
+ * @param {{ absoluteAiring?: boolean }} [options] - see applyNextAiring
  * @returns {object}
  */
-function buildFullMeta(media, stremioId, requestedType) {
-  const meta = buildMetaPreview(media, stremioId);
+function buildFullMeta(media, stremioId, requestedType, config, options) {
+  const meta = buildMetaPreview(media, stremioId, undefined, config);
   if (requestedType) meta.type = requestedType;
 
   // Runtime (minutes per episode)
@@ -117,6 +434,18 @@ function buildFullMeta(media, stremioId, requestedType) {
     }];
   }
 
+  // Cast (Japanese voice actors, falling back to the English dub) and key staff
+  const credits = getCredits(media);
+  const japaneseCast = credits.voiceActors.filter(va => va.category === 'Cast');
+  const cast = japaneseCast.length > 0 ? japaneseCast : credits.voiceActors;
+  if (cast.length > 0) {
+    meta.cast = [...new Set(cast.map(va => va.staff.name.full))].slice(0, 10);
+  }
+  const directors = credits.staff.filter(s => s.category === 'Directors').map(s => s.staff.name.full);
+  if (directors.length > 0) meta.director = directors;
+  const writers = credits.staff.filter(s => s.category === 'Writers').map(s => s.staff.name.full);
+  if (writers.length > 0) meta.writer = writers;
+
   // Links
   meta.links = [];
 
@@ -149,17 +478,130 @@ function buildFullMeta(media, stremioId, requestedType) {
     meta.status = statusMap[media.status] || media.status;
   }
 
+  if (media.nextAiringEpisode) {
+    applyNextAiring(meta, media.nextAiringEpisode, stremioId, undefined, undefined, options);
+  }
+
   return meta;
 }
 
+// Kitsu episode title keys for each title language
+const KITSU_TITLE_KEYS = {
+  english: ['en', 'en_us'],
+  romaji:  ['en_jp'],
+  native:  ['ja_jp']
+};
+
+/**
+ * Pick a Kitsu episode title in the preferred language, falling back to
+ * Kitsu's canonical title and then any English / romaji title.
+ */
+function getKitsuEpisodeTitle(ep, titleLanguage) {
+  const titles = ep.titles || {};
+  for (const key of KITSU_TITLE_KEYS[titleLanguage] || KITSU_TITLE_KEYS.english) {
+    if (titles[key]) return titles[key];
+  }
+  return ep.canonicalTitle || titles.en_jp || titles.en;
+}
+
+// AniList relation types → meta link categories, in display order
+const RELATION_CATEGORIES = {
+  PREQUEL:     'Prequel',
+  SEQUEL:      'Sequel',
+  PARENT:      'Parent Story',
+  SIDE_STORY:  'Side Story',
+  SPIN_OFF:    'Spin-off',
+  ALTERNATIVE: 'Alternative',
+  SUMMARY:     'Summary',
+  COMPILATION: 'Compilation',
+  CONTAINS:    'Contains',
+  CHARACTER:   'Character',
+  OTHER:       'Other'
+};
+
+/**
+ * Anime related to a media entry, grouped by relation type in display order,
+ * followed by AniList's top community recommendations.
+ * Manga, novels and unknown relation types (SOURCE, ADAPTATION) are skipped.
+ *
+ * @param {object} media - AniList media with relations / recommendations
+ * @returns {Array<{ category: string, media: object }>}
+ */
+function getRelatedMedia(media) {
+  const related = [];
+  const edges = (media.relations && media.relations.edges) || [];
+
+  for (const [relationType, category] of Object.entries(RELATION_CATEGORIES)) {
+    for (const edge of edges) {
+      if (edge.relationType !== relationType) continue;
+      if (!edge.node || edge.node.type !== 'ANIME') continue;
+      related.push({ category, media: edge.node });
+    }
+  }
+
+  const recommendations = (media.recommendations && media.recommendations.nodes) || [];
+  for (const rec of recommendations) {
+    const node = rec.mediaRecommendation;
+    if (!node || node.type !== 'ANIME' || rec.rating <= 0) continue;
+    related.push({ category: 'Recommended', media: node });
+  }
+
+  return related;
+}
+
+/**
+ * Build Stremio meta links that deep-link into each related entry's detail page.
+ *
+ * @param {Array<{ category: string, media: object }>} related - from getRelatedMedia()
+ * @param {Array<string|null>} stremioIds - resolved IDs, index-aligned with `related`
+ * @param {object} [config]
+ * @returns {Array<{ name: string, category: string, url: string }>}
+ */
+function buildRelatedLinks(related, stremioIds, config = {}) {
+  const links = [];
+  related.forEach(({ category, media }, i) => {
+    const stremioId = stremioIds[i];
+    if (!stremioId) return;
+    const type = anilistFormatToStremioType(media.format);
+    links.push({
+      name:     getTitle(media.title, config.titleLanguage),
+      category,
+      url:      `stremio:///detail/${type}/${encodeURIComponent(stremioId)}`
+    });
+  });
+  return links;
+}
+
+/**
+ * Meta link that opens one of our catalogs with the given extras, e.g. More
+ * Like This for a show or the By Studio catalog for its studio.
+ *
+ * @param {string} name
+ * @param {string} category
+ * @param {string} manifestUrl - the install's manifest URL
+ * @param {string} type - catalog type
+ * @param {string} catalogId
+ * @param {object} extra - extra name → value
+ * @returns {{ name: string, category: string, url: string }}
+ */
+function buildDiscoverLink(name, category, manifestUrl, type, catalogId, extra) {
+  const query = Object.entries(extra).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  return {
+    name,
+    category,
+    url: `stremio:///discover/${encodeURIComponent(manifestUrl)}/${type}/${catalogId}?${query}`
+  };
+}
+
 /**
  * Convert Kitsu episode objects into a Stremio videos array.
  *
  * @param {Array}  kitsuEpisodes - raw objects from fetchKitsuEpisodes()
  * @param {string} stremioId     - e.g. "kitsu:47759"
+ * @param {'english'|'romaji'|'native'} [titleLanguage]
  * @returns {Array}
  */
-function buildVideosFromKitsuEpisodes(kitsuEpisodes, stremioId) {
+function buildVideosFromKitsuEpisodes(kitsuEpisodes, stremioId, titleLanguage = 'english') {
   if (!kitsuEpisodes || kitsuEpisodes.length === 0) return [];
 
   return kitsuEpisodes
@@ -167,7 +609,7 @@ function buildVideosFromKitsuEpisodes(kitsuEpisodes, stremioId) {
     .map(ep => {
       const epNum   = ep.number;
       const season  = ep.seasonNumber || 1;
-      const title   = ep.canonicalTitle || ep.titles && (ep.titles.en_jp || ep.titles.en) || `Episode ${epNum}`;
+      const title   = getKitsuEpisodeTitle(ep, titleLanguage) || `Episode ${epNum}`;
       const thumb   = ep.thumbnail && ep.thumbnail.original;
       const airdate = ep.airdate ? new Date(ep.airdate).toISOString() : undefined;
 
@@ -188,10 +630,27 @@ function buildVideosFromKitsuEpisodes(kitsuEpisodes, stremioId) {
 
 module.exports = {
   getCurrentSeason,
+  getNextSeason,
+  getAiringWindow,
+  formatAiringTime,
+  formatAiringDate,
+  formatCountdown,
+  buildAiringPreview,
+  buildListEntryPreview,
+  addNextAiringVideo,
+  applyNextAiring,
   anilistFormatToStremioType,
   buildMetaPreview,
   buildFullMeta,
   buildVideosFromKitsuEpisodes,
+  getRelatedMedia,
+  buildRelatedLinks,
+  buildDiscoverLink,
+  getCredits,
+  buildFranchisePreview,
+  buildCollapsedPreview,
+  buildRisingPreview,
+  formatLabel,
   getTitle,
   stripHtml
 };
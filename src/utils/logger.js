@@ -1,24 +1,91 @@
 'use strict';
 
+const util = require('util');
+const { currentRequestId } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return level in LEVELS ? level : fallback;
+}
+
+/**
+ * "anilist=debug,cache=warn" → Map { anilist → debug, cache → warn }
+ * @param {string} [spec]
+ * @returns {Map<string, string>}
+ */
+function parseOverrides(spec) {
+  const overrides = new Map();
+  for (const pair of String(spec || '').split(',')) {
+    const [module, level] = pair.split('=').map(s => s.trim());
+    if (module && parseLevel(level)) overrides.set(module, parseLevel(level));
+  }
+  return overrides;
+}
+
+// LOG_LEVEL sets the threshold for every module (DEBUG=1 is still accepted
+// as a shorthand for debug), LOG_LEVELS overrides it per module and
+// LOG_FORMAT=json switches to one JSON object per line
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, process.env.DEBUG ? 'debug' : 'info');
+const MODULE_LEVELS = parseOverrides(process.env.LOG_LEVELS);
+const JSON_FORMAT   = process.env.LOG_FORMAT === 'json';
+
+const CONSOLE = { debug: console.log, info: console.log, warn: console.warn, error: console.error };
+
 function timestamp() {
   return new Date().toISOString();
 }
 
-const logger = {
-  info(...args) {
-    console.log(`[${timestamp()}] INFO:`, ...args);
-  },
-  warn(...args) {
-    console.warn(`[${timestamp()}] WARN:`, ...args);
-  },
-  error(...args) {
-    console.error(`[${timestamp()}] ERROR:`, ...args);
-  },
-  debug(...args) {
-    if (process.env.DEBUG) {
-      console.log(`[${timestamp()}] DEBUG:`, ...args);
+/**
+ * One JSON line: time, level, module, requestId (inside a request), msg
+ * built from the arguments like console.log would, and the stack of the
+ * first Error argument.
+ */
+function jsonLine(level, module, requestId, args) {
+  const record = { time: timestamp(), level, module };
+  if (requestId) record.requestId = requestId;
+  record.msg = util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg)));
+  const err = args.find(arg => arg instanceof Error);
+  if (err) record.stack = err.stack;
+  return JSON.stringify(record);
+}
+
+/**
+ * A logger tagged with a module name, for filtering and per-module levels.
+ *
+ * @param {string} module - e.g. "anilist", "cache"
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: (module: string) => object }}
+ */
+function createLogger(module) {
+  const threshold = LEVELS[MODULE_LEVELS.get(module) || DEFAULT_LEVEL];
+
+  function log(level, args) {
+    if (LEVELS[level] < threshold) return;
+    const requestId = currentRequestId();
+    if (JSON_FORMAT) {
+      CONSOLE[level](jsonLine(level, module, requestId, args));
+      return;
     }
+    const req = requestId ? ` (req ${requestId})` : '';
+    CONSOLE[level](`[${timestamp()}] ${level.toUpperCase()} [${module}]${req}:`, ...args);
   }
-};
 
-module.exports = logger;
+  return {
+    info(...args) {
+      log('info', args);
+    },
+    warn(...args) {
+      log('warn', args);
+    },
+    error(...args) {
+      log('error', args);
+    },
+    debug(...args) {
+      log('debug', args);
+    },
+    child: createLogger
+  };
+}
+
+module.exports = createLogger('app');
@@ -0,0 +1,53 @@
+'use strict';
+
+const manifest = require('../manifest');
+
+// The SDK refuses manifests whose JSON is longer than this
+const MANIFEST_SIZE_LIMIT = 8192;
+
+/**
+ * Take names in order until their JSON would exceed `budget` characters.
+ * The SDK rejects manifests over 8kb, so every option list loaded at
+ * runtime gets a fixed share of that.
+ *
+ * @param {string[]} names - most wanted first
+ * @param {number} budget
+ * @returns {string[]}
+ */
+function fitOptions(names, budget) {
+  const picked = [];
+  let size = 2; // []
+  for (const name of names) {
+    const cost = JSON.stringify(name).length + 1;
+    if (size + cost > budget) break;
+    picked.push(name);
+    size += cost;
+  }
+  return picked;
+}
+
+/**
+ * Replace a catalog extra's picker options in place. The SDK freezes the
+ * manifest object itself but not the catalog definitions inside it. Its
+ * router serializes the manifest only once, so both manifest routes in
+ * index.js serialize it per request for refreshed options to show up.
+ *
+ * @param {string} catalogId
+ * @param {string} extraName
+ * @param {string[]} options - ignored when empty, keeping the current list
+ */
+function setExtraOptions(catalogId, extraName, options) {
+  if (options.length === 0) return;
+  for (const catalog of manifest.catalogs) {
+    if (catalog.id !== catalogId) continue;
+    const extra = (catalog.extra || []).find(e => e.name === extraName);
+    if (!extra || !extra.options) continue;
+    extra.options.splice(0, extra.options.length, ...options);
+    // The budgets are shares of the limit; this catches them adding up past it
+    while (extra.options.length > 1 && JSON.stringify(manifest).length > MANIFEST_SIZE_LIMIT) {
+      extra.options.pop();
+    }
+  }
+}
+
+module.exports = { fitOptions, setExtraOptions };
@@ -0,0 +1,171 @@
+'use strict';
+
+const logger = require('./logger');
+
+// Minimal Prometheus registry: counters, callback gauges and histograms,
+// rendered in the text exposition format by /metrics.
+
+const PREFIX = 'anime_catalogue_';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // seconds
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labels) {
+  const pairs = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * @param {string} name - without the addon prefix
+ * @param {string} help
+ * @returns {{ inc: (labels?: object, amount?: number) => void }}
+ */
+function counter(name, help) {
+  const series = new Map(); // seriesKey → { labels, value }
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    lines: () => [...series.values()].map(s => `${PREFIX}${name}${labelString(s.labels)} ${s.value}`)
+  });
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      if (!series.has(key)) series.set(key, { labels, value: 0 });
+      series.get(key).value += amount;
+    }
+  };
+}
+
+/**
+ * A gauge read at scrape time.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {() => number|Array<{ labels: object, value: number }>} collect
+ */
+function gauge(name, help, collect) {
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'gauge',
+    lines() {
+      const value = collect();
+      const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return series.map(s => `${PREFIX}${name}${labelString(s.labels)} ${s.value}`);
+    }
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {string} help
+ * @param {number[]} [buckets] - upper bounds in seconds
+ * @returns {{ observe: (labels: object, seconds: number) => void, startTimer: (labels?: object) => (extra?: object) => void }}
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // seriesKey → { labels, counts, sum, count }
+  registry.push({
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    lines() {
+      const out = [];
+      for (const s of series.values()) {
+        buckets.forEach((le, i) => {
+          out.push(`${PREFIX}${name}_bucket${labelString({ ...s.labels, le })} ${s.counts[i]}`);
+        });
+        out.push(`${PREFIX}${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        out.push(`${PREFIX}${name}_sum${labelString(s.labels)} ${s.sum}`);
+        out.push(`${PREFIX}${name}_count${labelString(s.labels)} ${s.count}`);
+      }
+      return out;
+    }
+  });
+
+  function observe(labels, seconds) {
+    const key = seriesKey(labels);
+    if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    const s = series.get(key);
+    buckets.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+    s.sum += seconds;
+    s.count++;
+  }
+
+  return {
+    observe,
+    /** Start timing; call the returned function to record, optionally adding labels. */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+/**
+ * Everything registered, in Prometheus text format.
+ * @returns {string}
+ */
+function render() {
+  const out = [];
+  for (const metric of registry) {
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...metric.lines());
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// ─── Shared metrics ──────────────────────────────────────────────────────────
+
+const upstreamRequests = counter('upstream_requests_total', 'Requests to upstream APIs by status code ("error" for network failures).');
+const upstreamDuration = histogram('upstream_request_duration_seconds', 'Upstream API request latency.');
+
+// "https://api.themoviedb.org/3/tv/123?api_key=…" → "/3/tv/123", keeping keys out of logs
+function logPath(url) {
+  try {
+    return new URL(String(url)).pathname;
+  } catch (err) {
+    return '?';
+  }
+}
+
+/**
+ * Wrap a fetch implementation so every call is counted and timed under
+ * `upstream` (anilist, kitsu, tmdb), and logged at debug level under the
+ * upstream's module name with the current request ID.
+ *
+ * @param {string} upstream
+ * @param {Function} fetchImpl - node-fetch
+ * @returns {Function} same signature as fetchImpl
+ */
+function instrumentFetch(upstream, fetchImpl) {
+  const log = logger.child(upstream);
+  return async function instrumentedFetch(url, options) {
+    const method = (options && options.method) || 'GET';
+    const start = Date.now();
+    const done = upstreamDuration.startTimer({ upstream });
+    try {
+      const res = await fetchImpl(url, options);
+      upstreamRequests.inc({ upstream, status: res.status });
+      done();
+      log.debug(`${method} ${logPath(url)} → ${res.status} in ${Date.now() - start}ms`);
+      return res;
+    } catch (err) {
+      upstreamRequests.inc({ upstream, status: 'error' });
+      done();
+      log.debug(`${method} ${logPath(url)} failed after ${Date.now() - start}ms: ${err.message}`);
+      throw err;
+    }
+  };
+}
+
+module.exports = { counter, gauge, histogram, render, instrumentFetch };
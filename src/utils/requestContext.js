@@ -0,0 +1,44 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Carries the request ID from the Express middleware through the addon
+// handlers into the upstream clients, so their log lines can be correlated
+// without threading an argument through every call.
+const storage = new AsyncLocalStorage();
+
+// Accepted from an incoming X-Request-Id header; anything else gets a fresh ID
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * The caller's request ID if it looks sane, otherwise a new random one.
+ * @param {string} [headerValue]
+ * @returns {string}
+ */
+function requestIdFrom(headerValue) {
+  if (headerValue && REQUEST_ID_PATTERN.test(headerValue)) return headerValue;
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Run fn, and everything it starts asynchronously, under a request ID.
+ * Passing undefined runs fn outside any request.
+ *
+ * @param {string|undefined} requestId
+ * @param {() => *} fn
+ * @returns {*} whatever fn returns
+ */
+function runWithRequestId(requestId, fn) {
+  return storage.run({ requestId }, fn);
+}
+
+/**
+ * @returns {string|undefined} ID of the request being served, if any
+ */
+function currentRequestId() {
+  const store = storage.getStore();
+  return store && store.requestId;
+}
+
+module.exports = { requestIdFrom, runWithRequestId, currentRequestId };